@@ -0,0 +1,372 @@
+/*
+3D Pen Craft command line
+- Runs the pipeline of main.html headlessly: loading, pre-processing, search, curve intrapolation and the tubes
+- Writes the curves (JSON) and the tubes (binary STL) to the output directory, both in millimeters
+
+Usage: node cli/pen-craft.js [options] <source file> [companion files, e.g. the .bin of a .gltf]
+*/
+
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+register( './resolve-hooks.js', import.meta.url );
+
+const options = {
+    algorithm: { type: "string", short: "a" },
+    setting: { type: "string", short: "S", multiple: true },
+    module: { type: "string", short: "m", multiple: true },
+    reduction: { type: "string", short: "r" },
+    "terminate-paths": { type: "boolean", short: "t" },
+    size: { type: "string", short: "s" },
+    dimension: { type: "string", short: "d" },
+    "native-units": { type: "boolean", short: "n" },
+    "source-unit": { type: "string", short: "u" },
+    pen: { type: "string", short: "p" },
+    primitive: { type: "string" },
+    out: { type: "string", short: "o", default: "." },
+    verbose: { type: "boolean", short: "v" },
+    help: { type: "boolean", short: "h" }
+};
+
+// The arguments are parsed before the modules are imported, since some modules log when they are
+// imported (e.g. the SIMD support of the meshopt decoder)
+let parsed = null, parseError = null;
+
+try {
+
+    parsed = parseArgs( { options, allowPositionals: true } );
+
+}
+
+catch( err ) {
+
+    parseError = err;
+
+}
+
+const log = console.log;
+const error = console.error;
+
+// The modules and processes log to the console, which is only shown with --verbose
+if ( !parsed || !parsed.values.verbose ) {
+
+    for ( const method of [ "log", "info", "time", "timeEnd", "group", "groupEnd" ] ) console[ method ] = () => {};
+
+}
+
+const { Mesh } = await import( 'three' );
+const { STLExporter } = await import( 'three/exporters/STLExporter' );
+const { LoadingProcess } = await import( '../js/processes/LoadingProcess.js' );
+const { PreProcessorProcess } = await import( '../js/processes/PreProcessorProcess.js' );
+const { SearchProcess } = await import( '../js/processes/SearchProcess.js' );
+const { CurveIntrapolationProcess } = await import( '../js/processes/CurveIntrapolationProcess.js' );
+const { SimulationProcess } = await import( '../js/processes/SimulationProcess.js' );
+const { penProfiles, defaultPenProfile } = await import( '../js/PenProfiles.js' );
+const { primitives } = await import( '../js/PrimitiveGeometries.js' );
+const { diagnostics } = await import( '../js/Diagnostics.js' );
+const { searchAlgorithms } = await import( '../js/SearchAlgorithms.js' );
+
+const usage = `Usage: node cli/pen-craft.js [options] <source file> [companion files]
+
+Options:
+  -a, --algorithm <name>     Search algorithm, e.g. "Sequential walk", "Nearest Neighbor" (default) or "Wrapping path search"
+  -S, --setting <key=value>  Setting of the search algorithm, can be repeated
+  -m, --module <file>        Module that registers search algorithms, can be repeated
+  -r, --reduction <factor>   Fraction of the vertices removed before the search, 0 to 0.95 (default 0)
+  -t, --terminate-paths      Terminate the paths at their end points
+  -s, --size <size>          Size of the sculpture, e.g. 25, 25cm, 180mm or 8in (default 25cm)
+  -d, --dimension <name>     Dimension measured by the size: Diagonal (default), Width, Height or Depth
+  -n, --native-units         Keep the size of the source in the units of the file, instead of --size
+  -u, --source-unit <unit>   Unit of the source file, when it is not detected: µm, mm, cm, m, in, ft or px
+  -p, --pen <profile>        Pen profile: ${ Object.keys( penProfiles ).map( ( name ) => '"' + name + '"' ).join( ", " ) }
+      --primitive <name>     Build a primitive instead of loading a file: ${ Object.keys( primitives ).join( ", " ) }
+  -o, --out <directory>      Output directory (default: the current directory)
+  -v, --verbose              Show the log of the processes
+  -h, --help                 Show this help`;
+
+// Values are matched case insensitively
+function findOption( value, list, flag ) {
+
+    const match = list.find( ( item ) => item.toLowerCase() === value.toLowerCase() );
+    if ( !match ) throw new Error( "Unknown " + flag + ": " + value + ". Use one of: " + list.join( ", " ) );
+
+    return match;
+
+}
+
+function configure( args, processes ) {
+
+    const { loadingProcess, preProcessorProcess, searchProcess } = processes;
+
+    if ( args.algorithm !== undefined ) {
+
+        searchProcess.searchAlgorithm = findOption( args.algorithm, searchProcess.searchAlgorithms, "--algorithm" );
+
+    }
+
+    for ( const setting of args.setting || [] ) {
+
+        // Values are converted to the type of the default value in the schema of the algorithm
+        const algorithm = searchAlgorithms.get( searchProcess.searchAlgorithm );
+        const [ key, ...rest ] = setting.split( "=" );
+        const value = rest.join( "=" );
+        const schema = algorithm.settings[ key ];
+
+        if ( !schema || rest.length === 0 ) {
+
+            const keys = Object.keys( algorithm.settings );
+            throw new Error( "Unknown --setting: " + setting + ". " + ( ( keys.length > 0 ) ? "Use key=value with one of: " + keys.join( ", " ) : algorithm.name + " has no settings." ) );
+
+        }
+
+        const values = searchProcess.searchSettings;
+
+        if ( typeof schema.value === "number" ) {
+
+            values[ key ] = Number( value );
+            if ( !Number.isFinite( values[ key ] ) ) throw new Error( "--setting " + key + " must be a number." );
+
+        } else if ( typeof schema.value === "boolean" ) {
+
+            values[ key ] = [ "true", "yes", "1" ].includes( value.toLowerCase() );
+
+        } else {
+
+            values[ key ] = ( schema.options ) ? findOption( value, schema.options, "--setting " + key ) : value;
+
+        }
+
+    }
+
+    if ( args.reduction !== undefined ) {
+
+        const reductionFactor = Number( args.reduction );
+        if ( !( reductionFactor >= 0 && reductionFactor <= .95 ) ) throw new Error( "--reduction must be a number from 0 to 0.95." );
+
+        preProcessorProcess.reductionFactor = reductionFactor;
+
+    }
+
+    searchProcess.terminatePaths = Boolean( args[ "terminate-paths" ] );
+
+    if ( args.size !== undefined ) {
+
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(mm|cm|in)?\s*$/i.exec( args.size );
+        if ( !match || Number( match[ 1 ] ) <= 0 ) throw new Error( "--size must be a positive number, optionally followed by mm, cm or in." );
+
+        loadingProcess.targetSize = Number( match[ 1 ] );
+        if ( match[ 2 ] ) loadingProcess.targetUnit = match[ 2 ].toLowerCase();
+
+    }
+
+    if ( args.dimension !== undefined ) {
+
+        loadingProcess.targetDimension = findOption( args.dimension, [ "Diagonal", "Width", "Height", "Depth" ], "--dimension" );
+
+    }
+
+    loadingProcess.keepNativeUnits = Boolean( args[ "native-units" ] );
+
+    if ( args[ "source-unit" ] !== undefined ) {
+
+        loadingProcess.sourceUnit = findOption( args[ "source-unit" ], [ "µm", "mm", "cm", "m", "in", "ft", "px" ], "--source-unit" );
+
+    }
+
+    const profileName = ( args.pen !== undefined ) ? findOption( args.pen, Object.keys( penProfiles ), "--pen" ) : defaultPenProfile;
+
+    Object.values( processes ).forEach( ( stage ) => { stage.penProfile = { ...penProfiles[ profileName ] } } );
+
+    return profileName;
+
+}
+
+function run( stage, params ) {
+
+    // Runs a process to completion. Headless, the steps run in long slices.
+    return new Promise( function( resolve, reject ) {
+
+        stage.sliceDuration = 1000;
+        stage.onCompleted = () => resolve( stage.result );
+        stage.onError = ( err ) => reject( err );
+
+        stage.startProcess( params );
+
+    } );
+
+}
+
+async function main() {
+
+    if ( parseError ) {
+
+        error( parseError.message + "\n\n" + usage );
+        return 2;
+
+    }
+
+    const args = parsed.values;
+    const files = parsed.positionals;
+
+    if ( args.help ) {
+
+        log( usage );
+        return 0;
+
+    }
+
+    if ( files.length === 0 && args.primitive === undefined ) {
+
+        error( "No source file was provided.\n\n" + usage );
+        return 2;
+
+    }
+
+    // Warnings are always shown
+    diagnostics.addListener( ( diagnostics, entry ) => {
+
+        if ( entry && entry.level === "warning" ) error( "Warning [" + entry.stage + "]: " + entry.message );
+
+    } );
+
+    const processes = {
+        loadingProcess: new LoadingProcess(),
+        preProcessorProcess: new PreProcessorProcess(),
+        searchProcess: new SearchProcess(),
+        curveIntrapolationProcess: new CurveIntrapolationProcess(),
+        simulationProcess: new SimulationProcess()
+    };
+
+    const { loadingProcess, preProcessorProcess, searchProcess, curveIntrapolationProcess, simulationProcess } = processes;
+
+    // Progress is shown on a single line of a terminal
+    const showProgress = process.stderr.isTTY;
+
+    for ( const stage of Object.values( processes ) ) {
+
+        stage.onProgress = () => {
+
+            if ( !showProgress ) return;
+
+            const { percent, phase } = stage.progress;
+            process.stderr.write( "\r\x1b[K" + stage.processName + ( ( phase ) ? ": " + phase : "" ) + " (" + Math.floor( percent ) + "%)" );
+
+        };
+
+    }
+
+    function clearProgress() {
+
+        if ( showProgress ) process.stderr.write( "\r\x1b[K" );
+
+    }
+
+    let profileName, name;
+
+    try {
+
+        for ( const path of args.module || [] ) {
+
+            await import( pathToFileURL( resolve( path ) ).href );
+
+        }
+
+        profileName = configure( args, processes );
+
+        let loadParams;
+
+        if ( args.primitive !== undefined ) {
+
+            loadingProcess.primitive = findOption( args.primitive, Object.keys( primitives ), "--primitive" );
+            loadParams = { loadPrimitive: true };
+            name = loadingProcess.primitive.toLowerCase().replace( /\s+/g, "-" );
+
+        } else {
+
+            // The first file is the source, the others are companion files (buffers, textures)
+            const sourceFiles = [];
+
+            for ( const path of files ) {
+
+                sourceFiles.push( new File( [ await readFile( path ) ], basename( path ) ) );
+
+            }
+
+            loadParams = { sourceFile: sourceFiles[ 0 ], sourceFiles };
+            name = basename( files[ 0 ], extname( files[ 0 ] ) );
+
+        }
+
+        const start = performance.now();
+
+        const loaded = await run( loadingProcess, loadParams );
+        const preprocessed = await run( preProcessorProcess, loaded );
+        const searched = await run( searchProcess, preprocessed );
+        const curves = await run( curveIntrapolationProcess, searched );
+        await run( simulationProcess, curves );
+
+        clearProgress();
+
+        // Outputs are in millimeters, the pipeline works in meters
+        const toMillimeters = ( value ) => Math.round( value * 1e6 ) / 1e3;
+
+        const summary = {
+            source: loadingProcess.sourceName,
+            size: loadingProcess.sizeDescription,
+            penProfile: profileName,
+            algorithm: searchProcess.searchAlgorithm,
+            algorithmSettings: searchProcess.searchSettings,
+            reductionFactor: preProcessorProcess.reductionFactor,
+            terminatePaths: searchProcess.terminatePaths,
+            units: "mm",
+            pathLength: toMillimeters( curves.pathLength ),
+            buildTime: Math.round( curves.buildTime ),
+            stickCount: curves.stickCount,
+            tightBendCount: curves.tightBendCount,
+            curveCount: curves.curves.length,
+            pointCount: curves.pointCount
+        };
+
+        // The control points of the curves (Catmull-Rom splines)
+        const curvesOutput = {
+            ...summary,
+            curves: curves.curves.map( ( curve ) => curve.points.map( ( point ) => point.toArray().map( toMillimeters ) ) )
+        };
+
+        const tubes = new Mesh( simulationProcess.geometry );
+        tubes.scale.setScalar( 1000 );
+        tubes.updateMatrixWorld();
+
+        const stl = new STLExporter().parse( tubes, { binary: true } );
+
+        await mkdir( args.out, { recursive: true } );
+
+        const curvesPath = join( args.out, name + ".curves.json" );
+        const tubesPath = join( args.out, name + ".tubes.stl" );
+
+        await writeFile( curvesPath, JSON.stringify( curvesOutput ) );
+        await writeFile( tubesPath, new Uint8Array( stl.buffer ) );
+
+        log( summary.source + ": " + summary.size + ", " + summary.curveCount + " curves, " +
+            ( summary.pathLength / 1000 ).toFixed( 2 ) + " m of filament, " + curveIntrapolationProcess.buildEstimate );
+        log( "Wrote " + curvesPath + " and " + tubesPath + " in " + ( ( performance.now() - start ) / 1000 ).toFixed( 1 ) + " s" );
+
+        return 0;
+
+    }
+
+    catch( err ) {
+
+        clearProgress();
+        error( "Error: " + err.message );
+
+        return 1;
+
+    }
+
+}
+
+process.exitCode = await main();
\ No newline at end of file
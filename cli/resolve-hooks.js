@@ -0,0 +1,30 @@
+/*
+Resolve Hooks
+- Resolves the specifiers of the import map in main.html, such that the processes run in Node
+- 'three/...' refers to the examples of three.js, e.g. 'three/loaders/STLLoader'
+*/
+
+// three is installed with the package in the root of the repository
+const packageURL = new URL( '../package.json', import.meta.url ).href;
+
+async function resolve( specifier, context, nextResolve ) {
+
+    if ( specifier === 'three' ) {
+
+        return nextResolve( specifier, { ...context, parentURL: packageURL } );
+
+    }
+
+    if ( specifier.startsWith( 'three/' ) ) {
+
+        const path = specifier.slice( 'three/'.length );
+
+        return nextResolve( 'three/examples/jsm/' + path + ( path.endsWith( '.js' ) ? '' : '.js' ), { ...context, parentURL: packageURL } );
+
+    }
+
+    return nextResolve( specifier, context );
+
+}
+
+export { resolve }
\ No newline at end of file
@@ -0,0 +1,140 @@
+/*
+Buffer Packing
+- Converts geometries and paths of points to typed arrays and back,
+  such that they can be transferred to and from a worker
+- pack functions return the packed data and the list of buffers to transfer
+*/
+
+import { BufferGeometry, BufferAttribute, Vector3 } from 'three';
+
+function packAttribute( attribute, copy ) {
+
+    const itemSize = attribute.itemSize;
+    let array;
+
+    if ( attribute.isInterleavedBufferAttribute ) {
+
+        // De-interleave, e.g. attributes of glTF files
+        const data = attribute.data;
+        array = new attribute.array.constructor( attribute.count * itemSize );
+
+        for ( let i = 0, l = attribute.count; i < l; i++ ) {
+
+            for ( let c = 0; c < itemSize; c++ ) {
+
+                array[ i * itemSize + c ] = data.array[ i * data.stride + attribute.offset + c ];
+
+            }
+
+        }
+
+    } else {
+
+        array = ( copy ) ? attribute.array.slice() : attribute.array;
+
+    }
+
+    return { array, itemSize, normalized: attribute.normalized };
+
+}
+
+function packGeometry( geometry, copy = false, attributeNames = null ) {
+
+    // With copy, the arrays of the geometry are copied, such that the geometry remains usable
+    const packed = { attributes: {}, index: null };
+    const transfer = [];
+
+    for ( const name of attributeNames || Object.keys( geometry.attributes ) ) {
+
+        const attribute = geometry.getAttribute( name );
+        if ( !attribute ) continue;
+
+        packed.attributes[ name ] = packAttribute( attribute, copy );
+        transfer.push( packed.attributes[ name ].array.buffer );
+
+    }
+
+    if ( geometry.index ) {
+
+        packed.index = packAttribute( geometry.index, copy );
+        transfer.push( packed.index.array.buffer );
+
+    }
+
+    return { packed, transfer: [ ...new Set( transfer ) ] };
+
+}
+
+function unpackGeometry( packed ) {
+
+    const geometry = new BufferGeometry();
+
+    for ( const name in packed.attributes ) {
+
+        const { array, itemSize, normalized } = packed.attributes[ name ];
+        geometry.setAttribute( name, new BufferAttribute( array, itemSize, normalized ) );
+
+    }
+
+    if ( packed.index ) geometry.setIndex( new BufferAttribute( packed.index.array, 1 ) );
+
+    return geometry;
+
+}
+
+function packPaths( paths ) {
+
+    // Paths are arrays of Vector3. The points of all paths are stored in a single array.
+    let pointCount = 0;
+    paths.forEach( ( path ) => pointCount += path.length );
+
+    const points = new Float32Array( pointCount * 3 );
+    const lengths = new Uint32Array( paths.length );
+
+    let offset = 0;
+
+    for ( let i = 0, l = paths.length; i < l; i++ ) {
+
+        const path = paths[ i ];
+        lengths[ i ] = path.length;
+
+        for ( const point of path ) {
+
+            point.toArray( points, offset );
+            offset += 3;
+
+        }
+
+    }
+
+    return { packed: { points, lengths }, transfer: [ points.buffer, lengths.buffer ] };
+
+}
+
+function unpackPaths( packed ) {
+
+    const { points, lengths } = packed;
+    const paths = [];
+
+    let offset = 0;
+
+    for ( let i = 0, l = lengths.length; i < l; i++ ) {
+
+        const path = [];
+
+        for ( let j = 0; j < lengths[ i ]; j++ ) {
+
+            path.push( new Vector3().fromArray( points, offset ) );
+            offset += 3;
+
+        }
+
+        paths.push( path );
+
+    }
+
+    return paths;
+
+}
+
+export { packGeometry, unpackGeometry, packPaths, unpackPaths }
\ No newline at end of file
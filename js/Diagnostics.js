@@ -0,0 +1,100 @@
+/*
+Diagnostics
+- In-app log of the processes: timings, warnings and errors, with the stage that produced them
+- Listeners are notified of every change, e.g. to update the diagnostics panel
+- Does not depend on the DOM, such that it can be used outside of the browser
+*/
+
+class Diagnostics {
+
+    constructor() {
+
+        // Log entries: { time, level, stage, message, details }. Level is "info", "warning" or "error".
+        this.entries = [];
+        this.maxEntries = 500;
+
+        // Last run of each stage: { duration, status }. Duration is in ms, status is "running", "completed" or "failed".
+        this.timings = {};
+
+        this.listeners = [];
+
+    }
+
+    addListener( listener ) {
+
+        this.listeners.push( listener );
+
+    }
+
+    removeListener( listener ) {
+
+        this.listeners = this.listeners.filter( ( item ) => item !== listener );
+
+    }
+
+    notify( entry = null ) {
+
+        for ( const listener of this.listeners ) listener( this, entry );
+
+    }
+
+    add( level, stage, message, details = "" ) {
+
+        const entry = { time: new Date(), level, stage, message, details };
+
+        this.entries.push( entry );
+        if ( this.entries.length > this.maxEntries ) this.entries.shift();
+
+        this.notify( entry );
+
+        return entry;
+
+    }
+
+    info( stage, message ) {
+
+        return this.add( "info", stage, message );
+
+    }
+
+    warn( stage, message ) {
+
+        return this.add( "warning", stage, message );
+
+    }
+
+    error( stage, message, err = null ) {
+
+        return this.add( "error", stage, message, ( err && err.stack ) ? err.stack : "" );
+
+    }
+
+    setTiming( stage, duration, status ) {
+
+        this.timings[ stage ] = { duration, status };
+
+        this.notify();
+
+    }
+
+    count( level ) {
+
+        return this.entries.filter( ( entry ) => entry.level === level ).length;
+
+    }
+
+    clear() {
+
+        this.entries = [];
+        this.timings = {};
+
+        this.notify();
+
+    }
+
+}
+
+// Shared by the processes and the application
+const diagnostics = new Diagnostics();
+
+export { Diagnostics, diagnostics }
\ No newline at end of file
@@ -0,0 +1,135 @@
+/*
+Diagnostics Panel
+- Shows the timings of the processes and the log of the diagnostics object
+- Collapsed to its title bar by default, and expanded when a warning or error is logged
+*/
+
+const levelColors = { info: "#d0d0d0", warning: "#ffc857", error: "#ff6b6b" };
+const statusColors = { running: "#d0d0d0", completed: "#7bd88f", failed: "#ff6b6b" };
+
+class DiagnosticsPanel {
+
+    constructor( diagnostics, parent = document.body ) {
+
+        this.diagnostics = diagnostics;
+        this.expanded = false;
+
+        this.dom = document.createElement( "div" );
+        Object.assign( this.dom.style, {
+            position: "fixed",
+            left: "0px",
+            bottom: "0px",
+            width: "440px",
+            maxWidth: "100%",
+            background: "rgba( 20, 20, 20, .85 )",
+            color: levelColors.info,
+            font: "11px monospace",
+            zIndex: 10000
+        } );
+
+        // Title bar, toggles the panel
+        this.titleBar = document.createElement( "div" );
+        Object.assign( this.titleBar.style, { padding: "4px 8px", cursor: "pointer", userSelect: "none" } );
+        this.titleBar.addEventListener( "click", () => this.toggle() );
+
+        this.clearButton = document.createElement( "button" );
+        this.clearButton.textContent = "Clear";
+        Object.assign( this.clearButton.style, { float: "right", font: "inherit", cursor: "pointer" } );
+        this.clearButton.addEventListener( "click", ( event ) => {
+
+            event.stopPropagation();
+            diagnostics.clear();
+
+        } );
+
+        this.titleText = document.createElement( "span" );
+        this.titleBar.append( this.clearButton, this.titleText );
+
+        this.body = document.createElement( "div" );
+        Object.assign( this.body.style, { maxHeight: "40vh", overflowY: "auto", padding: "0px 8px 6px 8px", display: "none" } );
+
+        this.timingsTable = document.createElement( "table" );
+        Object.assign( this.timingsTable.style, { width: "100%", marginBottom: "6px", font: "inherit", color: "inherit" } );
+
+        this.logList = document.createElement( "div" );
+
+        this.body.append( this.timingsTable, this.logList );
+        this.dom.append( this.titleBar, this.body );
+        parent.appendChild( this.dom );
+
+        diagnostics.addListener( ( diagnostics, entry ) => {
+
+            if ( entry && entry.level !== "info" ) this.expanded = true;
+
+            this.update();
+
+        } );
+
+        this.update();
+
+    }
+
+    toggle() {
+
+        this.expanded = !this.expanded;
+        this.update();
+
+    }
+
+    update() {
+
+        const diagnostics = this.diagnostics;
+
+        const errors = diagnostics.count( "error" );
+        const warnings = diagnostics.count( "warning" );
+
+        this.titleText.textContent = ( this.expanded ? "▾" : "▸" ) + " Diagnostics: " +
+            errors + " error" + ( ( errors === 1 ) ? "" : "s" ) + ", " +
+            warnings + " warning" + ( ( warnings === 1 ) ? "" : "s" );
+        this.titleText.style.color = ( errors > 0 ) ? levelColors.error : ( warnings > 0 ) ? levelColors.warning : levelColors.info;
+
+        this.body.style.display = ( this.expanded ) ? "block" : "none";
+
+        if ( !this.expanded ) return;
+
+        // Timings of the last run of each stage
+        this.timingsTable.replaceChildren();
+
+        for ( const stage in diagnostics.timings ) {
+
+            const { duration, status } = diagnostics.timings[ stage ];
+
+            const row = this.timingsTable.insertRow();
+            row.insertCell().textContent = stage;
+            row.insertCell().textContent = ( duration === null ) ? "" : ( duration / 1000 ).toFixed( 2 ) + " s";
+
+            const statusCell = row.insertCell();
+            statusCell.textContent = status;
+            statusCell.style.color = statusColors[ status ];
+
+        }
+
+        // Log, most recent first
+        this.logList.replaceChildren();
+
+        for ( let i = diagnostics.entries.length - 1; i >= 0; i-- ) {
+
+            const entry = diagnostics.entries[ i ];
+
+            const line = document.createElement( "div" );
+            line.style.color = levelColors[ entry.level ];
+            line.style.marginTop = "2px";
+            line.textContent = entry.time.toLocaleTimeString() + " [" + entry.stage + "] " + entry.message;
+
+            // The stack of errors is shown on hover
+            if ( entry.details ) line.title = entry.details;
+
+            this.logList.appendChild( line );
+
+        }
+
+    }
+
+}
+
+export { DiagnosticsPanel }
\ No newline at end of file
@@ -57,6 +57,17 @@ class GeometryModifier {
 
 	}
 
+	*collapseSteps( count ) {
+
+		// Collapses the vertices one at a time, yielding the fraction done after each
+		console.time( "Collapse vertices" );
+
+		yield* this.verticesAndFaces.collapseSteps( count );
+
+		console.timeEnd( "Collapse vertices" );
+
+	}
+
 	buildGeometry() {
 
 		console.time( "Build geometry" );
@@ -627,6 +638,14 @@ class VerticesAndFaces {
 
 	collapse( count ) {
 
+		const steps = this.collapseSteps( count );
+
+		while ( !steps.next().done );
+
+	}
+
+	*collapseSteps( count ) {
+
 		const arrVertices = this.arrVertices;
 		const arrVerticesByCost = this.arrVerticesByCost;
 		const arrFaces = this.arrFaces;
@@ -648,6 +667,8 @@ class VerticesAndFaces {
         }
 
         for ( let i = 0; i < count; i++ ) {
+
+			yield i / count;
             
 			// Get the lowest cost vertex to delete
             const u = arrVertices[ arrVerticesByCost[ 0 ] ];
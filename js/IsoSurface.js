@@ -0,0 +1,219 @@
+/*
+Iso-surface extraction
+- Marching tetrahedra over a regular grid
+- Each grid cell is split into 6 tetrahedra sharing the cell diagonal,
+  which avoids the ambiguous cases of marching cubes
+- Vertices on shared grid edges are reused, so the result is an indexed geometry
+*/
+
+import { BufferGeometry, Vector3, Float32BufferAttribute } from 'three';
+
+// Cell corners are numbered x + 2y + 4z. The 6 tetrahedra share the diagonal 0-7.
+const cellTetrahedra = [
+    [ 0, 1, 3, 7 ],
+    [ 0, 3, 2, 7 ],
+    [ 0, 2, 6, 7 ],
+    [ 0, 6, 4, 7 ],
+    [ 0, 4, 5, 7 ],
+    [ 0, 5, 1, 7 ]
+];
+
+const _ab = new Vector3();
+const _ac = new Vector3();
+const _direction = new Vector3();
+
+function polygonizeField( sampler, box, resolution, isoValue = 0 ) {
+
+    // sampler( x, y, z ) returns the field value at a point, or NaN where the field is undefined.
+    // resolution is the number of cells along the longest side of box.
+    // Triangles are wound such that their normals point towards higher field values.
+
+    const size = box.getSize( new Vector3() );
+    const cellSize = Math.max( size.x, size.y, size.z ) / resolution;
+
+    const nx = Math.max( 1, Math.ceil( size.x / cellSize ) ) + 1;
+    const ny = Math.max( 1, Math.ceil( size.y / cellSize ) ) + 1;
+    const nz = Math.max( 1, Math.ceil( size.z / cellSize ) ) + 1;
+    const nodeCount = nx * ny * nz;
+
+    // Sample the field at all grid nodes
+    const values = new Float32Array( nodeCount );
+
+    for ( let k = 0; k < nz; k++ ) {
+
+        for ( let j = 0; j < ny; j++ ) {
+
+            for ( let i = 0; i < nx; i++ ) {
+
+                values[ i + nx * ( j + ny * k ) ] = sampler(
+                    box.min.x + i * cellSize,
+                    box.min.y + j * cellSize,
+                    box.min.z + k * cellSize
+                ) - isoValue;
+
+            }
+
+        }
+
+    }
+
+    function nodePosition( node, target ) {
+
+        const i = node % nx;
+        const j = Math.floor( node / nx ) % ny;
+        const k = Math.floor( node / ( nx * ny ) );
+
+        return target.set( box.min.x + i * cellSize, box.min.y + j * cellSize, box.min.z + k * cellSize );
+
+    }
+
+    const positions = [];
+    const indices = [];
+    const edgeVertices = new Map();
+
+    const pointA = new Vector3();
+    const pointB = new Vector3();
+
+    function getEdgeVertex( a, b ) {
+
+        // Vertex where the field crosses zero on the grid edge between nodes a and b
+        const key = ( a < b ) ? a * nodeCount + b : b * nodeCount + a;
+
+        let index = edgeVertices.get( key );
+
+        if ( index === undefined ) {
+
+            const valueA = values[ a ];
+            const valueB = values[ b ];
+            const t = ( valueA === valueB ) ? .5 : valueA / ( valueA - valueB );
+
+            nodePosition( a, pointA );
+            nodePosition( b, pointB );
+            pointA.lerp( pointB, t );
+
+            index = positions.length / 3;
+            positions.push( pointA.x, pointA.y, pointA.z );
+            edgeVertices.set( key, index );
+
+        }
+
+        return index;
+
+    }
+
+    const vA = new Vector3();
+    const vB = new Vector3();
+    const vC = new Vector3();
+    const nodeInside = new Vector3();
+    const nodeOutside = new Vector3();
+
+    function addTriangle( a, b, c, inside, outside ) {
+
+        if ( a === b || b === c || c === a ) return;
+
+        vA.fromArray( positions, a * 3 );
+        vB.fromArray( positions, b * 3 );
+        vC.fromArray( positions, c * 3 );
+
+        _ab.subVectors( vB, vA );
+        _ac.subVectors( vC, vA );
+        _ab.cross( _ac );
+
+        // Orient the triangle from the negative towards the positive side
+        nodePosition( inside, nodeInside );
+        nodePosition( outside, nodeOutside );
+        _direction.subVectors( nodeOutside, nodeInside );
+
+        if ( _ab.dot( _direction ) < 0 ) {
+
+            indices.push( a, c, b );
+
+        } else {
+
+            indices.push( a, b, c );
+
+        }
+
+    }
+
+    const cellNodes = new Array( 8 );
+
+    for ( let k = 0; k < nz - 1; k++ ) {
+
+        for ( let j = 0; j < ny - 1; j++ ) {
+
+            for ( let i = 0; i < nx - 1; i++ ) {
+
+                for ( let c = 0; c < 8; c++ ) {
+
+                    cellNodes[ c ] = ( i + ( c & 1 ) ) + nx * ( ( j + ( ( c >> 1 ) & 1 ) ) + ny * ( k + ( ( c >> 2 ) & 1 ) ) );
+
+                }
+
+                for ( const tetrahedron of cellTetrahedra ) {
+
+                    const nodes = tetrahedron.map( ( c ) => cellNodes[ c ] );
+
+                    const inside = [];
+                    const outside = [];
+                    let undefinedValue = false;
+
+                    for ( const node of nodes ) {
+
+                        const value = values[ node ];
+
+                        if ( Number.isNaN( value ) ) {
+
+                            undefinedValue = true;
+                            break;
+
+                        }
+
+                        ( value < 0 ) ? inside.push( node ) : outside.push( node );
+
+                    }
+
+                    if ( undefinedValue || inside.length === 0 || outside.length === 0 ) continue;
+
+                    if ( inside.length === 1 || outside.length === 1 ) {
+
+                        // A single corner is cut off
+                        const [ single, others ] = ( inside.length === 1 ) ? [ inside[ 0 ], outside ] : [ outside[ 0 ], inside ];
+
+                        addTriangle(
+                            getEdgeVertex( single, others[ 0 ] ),
+                            getEdgeVertex( single, others[ 1 ] ),
+                            getEdgeVertex( single, others[ 2 ] ),
+                            inside[ 0 ], outside[ 0 ]
+                        );
+
+                    } else {
+
+                        // Two corners on each side: the cut is a quad
+                        const ac = getEdgeVertex( inside[ 0 ], outside[ 0 ] );
+                        const ad = getEdgeVertex( inside[ 0 ], outside[ 1 ] );
+                        const bd = getEdgeVertex( inside[ 1 ], outside[ 1 ] );
+                        const bc = getEdgeVertex( inside[ 1 ], outside[ 0 ] );
+
+                        addTriangle( ac, ad, bd, inside[ 0 ], outside[ 0 ] );
+                        addTriangle( ac, bd, bc, inside[ 0 ], outside[ 0 ] );
+
+                    }
+
+                }
+
+            }
+
+        }
+
+    }
+
+    const geometry = new BufferGeometry();
+    geometry.setAttribute( 'position', new Float32BufferAttribute( positions, 3 ) );
+    geometry.setIndex( indices );
+
+    return geometry;
+
+}
+
+export { polygonizeField }
\ No newline at end of file
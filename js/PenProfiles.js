@@ -0,0 +1,36 @@
+/*
+Pen Profiles
+- Properties of the 3D pen and filament used to build the sculpture
+- Lengths are in millimeters, the feed rate in millimeters of extruded line per second
+- The extruded line is assumed to have the diameter of the filament,
+  such that the filament used equals the length of the paths
+*/
+
+const penProfiles = {
+
+    'Default (1.2 mm)': { diameter: 1.2, minBendRadius: 1.5, feedRate: 6, stickLength: 1000 },
+
+    'PLA 1.75 mm': { diameter: 1.75, minBendRadius: 2.5, feedRate: 8, stickLength: 5000 },
+
+    'ABS 3 mm': { diameter: 3, minBendRadius: 5, feedRate: 5, stickLength: 3000 },
+
+    // Low-temperature pens extrude slowly and use short sticks
+    'PCL low temperature': { diameter: 1.75, minBendRadius: 2, feedRate: 3, stickLength: 200 }
+
+};
+
+const defaultPenProfile = 'Default (1.2 mm)';
+
+function estimateBuild( pathLength, profile ) {
+
+    // pathLength is in meters. Returns the build time in seconds and the number of filament sticks.
+    const length = pathLength * 1000;
+
+    return {
+        seconds: length / profile.feedRate,
+        sticks: Math.ceil( length / profile.stickLength )
+    };
+
+}
+
+export { penProfiles, defaultPenProfile, estimateBuild }
\ No newline at end of file
@@ -0,0 +1,167 @@
+/*
+Pipeline Worker
+- Runs pre-processing, search and curve intrapolation off the main thread, see PipelineWorkerClient
+- The processes run here without visuals on screen. Their results stay in the worker, and only
+  the buffers needed for the visuals and the next stages on the main thread are passed back.
+*/
+
+import { PreProcessorProcess } from './processes/PreProcessorProcess.js';
+import { SearchProcess } from './processes/SearchProcess.js';
+import { CurveIntrapolationProcess } from './processes/CurveIntrapolationProcess.js';
+import { diagnostics } from './Diagnostics.js';
+
+const processes = {};
+
+// runId of the process on the main thread, for each process running here
+const runIds = {};
+
+// Completed results by resultId, such that the next stage can refer to them.
+// Results are kept until the main thread releases them, e.g. when they are removed from its cache.
+const results = new Map();
+let resultCount = 0;
+
+function storeResult( process ) {
+
+    const resultId = ++resultCount;
+    results.set( resultId, process.result );
+
+    return resultId;
+
+}
+
+// Modules imported on request of the processes, see Process.getWorkerModules
+const importedModules = new Set();
+
+function importModules( urls = [] ) {
+
+    const pending = urls.filter( ( url ) => !importedModules.has( url ) );
+
+    return Promise.all( pending.map( async function( url ) {
+
+        await import( url );
+        importedModules.add( url );
+
+    } ) );
+
+}
+
+function postError( processName, err ) {
+
+    postMessage( { type: "error", processName, runId: runIds[ processName ], message: err.message, stack: err.stack } );
+
+}
+
+for ( const process of [ new PreProcessorProcess(), new SearchProcess(), new CurveIntrapolationProcess() ] ) {
+
+    const processName = process.processName;
+
+    processes[ processName ] = process;
+
+    // Results are cached on the main thread
+    process.cacheSize = 0;
+
+    process.onProgress = () => {
+
+        postMessage( { type: "progress", processName, runId: runIds[ processName ], progress: process.progress } );
+
+    };
+
+    process.onError = ( err ) => postError( processName, err );
+
+    process.onCompleted = () => {
+
+        try {
+
+            const resultId = storeResult( process );
+            const { message, transfer } = process.workerResponse();
+
+            postMessage( { type: "completed", processName, runId: runIds[ processName ], resultId, message }, transfer );
+
+        }
+
+        catch( err ) {
+
+            postError( processName, err );
+
+        }
+
+    };
+
+}
+
+// Warnings are shown on the main thread. Errors are reported by the processes on the main thread.
+diagnostics.addListener( ( diagnostics, entry ) => {
+
+    if ( !entry || entry.level === "error" ) return;
+
+    const { level, stage, message, details } = entry;
+    postMessage( { type: "diagnostics", entry: { level, stage, message, details } } );
+
+} );
+
+function start( process, data ) {
+
+    Object.assign( process, data.settings );
+
+    let params;
+
+    try {
+
+        params = process.workerParams( data.message, results );
+
+    }
+
+    catch( err ) {
+
+        process.abort();
+        postError( data.processName, err );
+        return;
+
+    }
+
+    process.startProcess( params );
+
+}
+
+self.onmessage = function( event ) {
+
+    const data = event.data;
+    const process = processes[ data.processName ];
+
+    if ( !process ) return;
+
+    switch ( data.type ) {
+
+        case "start":
+
+            runIds[ data.processName ] = data.runId;
+
+            importModules( data.modules ).then( function() {
+
+                // The run may have been stopped while the modules were imported
+                if ( runIds[ data.processName ] === data.runId ) start( process, data );
+
+            }, function( err ) {
+
+                postError( data.processName, new Error( "A module of the process could not be imported. (" + err.message + ")" ) );
+
+            } );
+
+            break;
+
+        case "stop":
+
+            runIds[ data.processName ] = null;
+            process.abort();
+            break;
+
+        case "release":
+
+            results.delete( data.resultId );
+            break;
+
+    }
+
+};
+
+postMessage( { type: "ready" } );
\ No newline at end of file
@@ -0,0 +1,184 @@
+/*
+Pipeline Worker Client
+- Starts the pipeline worker and passes the messages between it and the processes
+- Import maps do not apply to workers, so the worker module is loaded with es-module-shims,
+  using the import map and the es-module-shims script of the page
+- onFailed is called when the worker cannot be started or fails, the processes then run on the main thread.
+  A page without es-module-shims also runs them on the main thread, with a warning in the diagnostics
+*/
+
+import { diagnostics } from './Diagnostics.js';
+
+class PipelineWorkerClient {
+
+    constructor( onFailed = null ) {
+
+        // Processes by name, which receive the messages of the worker
+        this.processes = {};
+
+        // Messages are queued until the worker module is loaded
+        this.ready = false;
+        this.failed = false;
+        this.queue = [];
+
+        this.onFailed = onFailed;
+
+        const workerUrl = this.createWorkerUrl();
+
+        if ( !workerUrl ) {
+
+            // Without es-module-shims the worker module cannot resolve the specifiers of the import map
+            this.worker = null;
+            this.failed = true;
+            setTimeout( () => this.useMainThread( "The page does not load es-module-shims, which the worker needs." ), 0 );
+            return;
+
+        }
+
+        try {
+
+            this.worker = new Worker( workerUrl );
+
+        }
+
+        catch( err ) {
+
+            this.worker = null;
+            setTimeout( () => this.fail( err.message ), 0 );
+            return;
+
+        }
+
+        this.worker.addEventListener( "message", ( event ) => this.handleMessage( event.data ) );
+        this.worker.addEventListener( "error", ( event ) => {
+
+            event.preventDefault();
+            this.fail( event.message );
+
+        } );
+
+    }
+
+    createWorkerUrl() {
+
+        // The worker script loads es-module-shims, adds the import map of the page and imports the worker module
+        const importMapScript = document.querySelector( 'script[type="importmap"]' );
+        const importMap = ( importMapScript ) ? JSON.parse( importMapScript.textContent ) : { imports: {} };
+
+        // The version of es-module-shims is pinned by the page only
+        const shimsScript = document.querySelector( 'script[src*="es-module-shims"]' );
+        if ( !shimsScript ) return null;
+
+        const shimsUrl = shimsScript.src;
+
+        const moduleUrl = new URL( './PipelineWorker.js', import.meta.url ).href;
+
+        const source = [
+            "importScripts( " + JSON.stringify( shimsUrl ) + " );",
+            "importShim.addImportMap( " + JSON.stringify( importMap ) + " );",
+            "importShim( " + JSON.stringify( moduleUrl ) + " ).catch( ( err ) => postMessage( { type: 'failed', message: err.message } ) );"
+        ].join( "\n" );
+
+        return URL.createObjectURL( new Blob( [ source ], { type: "application/javascript" } ) );
+
+    }
+
+    post( data, transfer = [] ) {
+
+        if ( this.failed ) return;
+
+        if ( this.ready ) {
+
+            this.worker.postMessage( data, transfer );
+
+        } else {
+
+            this.queue.push( { data, transfer } );
+
+        }
+
+    }
+
+    start( process, message, settings, transfer = [] ) {
+
+        this.processes[ process.processName ] = process;
+
+        const modules = process.getWorkerModules();
+
+        this.post( { type: "start", processName: process.processName, runId: process.runId, message, settings, modules }, transfer );
+
+    }
+
+    stop( process ) {
+
+        this.post( { type: "stop", processName: process.processName } );
+
+    }
+
+    release( process, resultId ) {
+
+        // The result is no longer used by the process on the main thread
+        this.post( { type: "release", processName: process.processName, resultId } );
+
+    }
+
+    handleMessage( data ) {
+
+        switch ( data.type ) {
+
+            case "ready":
+
+                this.ready = true;
+                this.queue.forEach( ( { data, transfer } ) => this.worker.postMessage( data, transfer ) );
+                this.queue = [];
+                break;
+
+            case "failed":
+
+                this.fail( data.message );
+                break;
+
+            case "diagnostics": {
+
+                const { level, stage, message, details } = data.entry;
+                diagnostics.add( level, stage, message, details );
+                break;
+
+            }
+
+            default: {
+
+                const process = this.processes[ data.processName ];
+                if ( process ) process.handleWorkerMessage( data );
+
+            }
+
+        }
+
+    }
+
+    fail( message ) {
+
+        if ( this.failed ) return;
+
+        this.failed = true;
+        this.queue = [];
+
+        if ( this.worker ) this.worker.terminate();
+
+        this.useMainThread( "The worker failed. " + message );
+
+    }
+
+    useMainThread( reason ) {
+
+        console.log( "Pipeline worker not used: " + reason );
+        diagnostics.warn( "Pipeline worker", reason + " The processes run on the main thread." );
+
+        if ( Boolean( this.onFailed ) ) this.onFailed();
+
+    }
+
+}
+
+export { PipelineWorkerClient }
\ No newline at end of file
@@ -0,0 +1,114 @@
+/*
+Point Grid
+- Uniform grid of points to speed up nearest neighbor queries, e.g. in the surface reconstruction,
+  the tour improvement and the wireframe search
+*/
+
+import { Box3, Vector3 } from 'three';
+
+class PointGrid {
+
+    constructor( points, cellSize ) {
+
+        this.points = points;
+        this.cellSize = cellSize;
+        this.box = new Box3().setFromPoints( points );
+        this.cells = new Map();
+
+        for ( let i = 0, l = points.length; i < l; i++ ) {
+
+            const key = this.getKey( ...this.getCell( points[ i ] ) );
+
+            let cell = this.cells.get( key );
+            if ( !cell ) this.cells.set( key, cell = [] );
+            cell.push( i );
+
+        }
+
+    }
+
+    getCell( point ) {
+
+        const cellSize = this.cellSize;
+        const min = this.box.min;
+
+        return [
+            Math.floor( ( point.x - min.x ) / cellSize ),
+            Math.floor( ( point.y - min.y ) / cellSize ),
+            Math.floor( ( point.z - min.z ) / cellSize )
+        ];
+
+    }
+
+    getKey( i, j, k ) {
+
+        return `${ i },${ j },${ k }`;
+
+    }
+
+    nearest( point, count, maxDistance = Infinity ) {
+
+        // Returns the indices of the (up to) count nearest points, closest first.
+        // Shells of cells around the point are searched until the nearest points are certain.
+        const [ ci, cj, ck ] = this.getCell( point );
+        const points = this.points;
+        const cellSize = this.cellSize;
+
+        const maxShell = Math.min(
+            Math.ceil( maxDistance / cellSize ) + 1,
+            Math.ceil( this.box.getSize( new Vector3() ).length() / cellSize ) + 1
+        );
+
+        let candidates = [];
+
+        for ( let shell = 0; shell <= maxShell; shell++ ) {
+
+            for ( let i = ci - shell; i <= ci + shell; i++ ) {
+
+                for ( let j = cj - shell; j <= cj + shell; j++ ) {
+
+                    for ( let k = ck - shell; k <= ck + shell; k++ ) {
+
+                        // Only the cells on the surface of the shell are new
+                        if ( Math.max( Math.abs( i - ci ), Math.abs( j - cj ), Math.abs( k - ck ) ) !== shell ) continue;
+
+                        const cell = this.cells.get( this.getKey( i, j, k ) );
+                        if ( !cell ) continue;
+
+                        for ( const index of cell ) {
+
+                            const distanceSqrd = point.distanceToSquared( points[ index ] );
+
+                            if ( distanceSqrd <= maxDistance * maxDistance ) candidates.push( { index, distanceSqrd } );
+
+                        }
+
+                    }
+
+                }
+
+            }
+
+            if ( candidates.length >= count ) {
+
+                candidates.sort( ( a, b ) => a.distanceSqrd - b.distanceSqrd );
+                candidates = candidates.slice( 0, count );
+
+                // Points in unsearched shells are at least this far away
+                const reach = shell * cellSize;
+
+                if ( candidates[ count - 1 ].distanceSqrd <= reach * reach ) break;
+
+            }
+
+        }
+
+        candidates.sort( ( a, b ) => a.distanceSqrd - b.distanceSqrd );
+
+        return candidates.slice( 0, count ).map( ( candidate ) => candidate.index );
+
+    }
+
+}
+
+export { PointGrid }
\ No newline at end of file
@@ -0,0 +1,118 @@
+/*
+Primitive Geometries
+- Procedural sources that do not need to be imported
+- Each primitive has a set of default parameters, the GUI ranges of the parameters,
+  and a build function that returns a BufferGeometry of arbitrary size
+  (the loading process scales the source to the target size)
+*/
+
+import { SphereBufferGeometry, TorusBufferGeometry, TorusKnotBufferGeometry, Box3, Vector3 } from 'three';
+import { ParametricGeometry } from 'three/geometries/ParametricGeometry';
+import { polygonizeField } from './IsoSurface.js';
+
+// Signed power used by superquadrics
+function signedPower( value, exponent ) {
+
+    return Math.sign( value ) * Math.pow( Math.abs( value ), exponent );
+
+}
+
+const primitives = {
+
+    'Sphere': {
+        parameters: { widthSegments: 48, heightSegments: 32 },
+        ranges: { widthSegments: [ 8, 128, 1 ], heightSegments: [ 6, 96, 1 ] },
+        build: ( p ) => new SphereBufferGeometry( 1, p.widthSegments, p.heightSegments )
+    },
+
+    'Torus': {
+        parameters: { tubeRatio: .35, radialSegments: 24, tubularSegments: 96, arc: 360 },
+        ranges: { tubeRatio: [ .05, .95, .01 ], radialSegments: [ 6, 64, 1 ], tubularSegments: [ 12, 256, 1 ], arc: [ 30, 360, 1 ] },
+        build: ( p ) => new TorusBufferGeometry( 1, p.tubeRatio, p.radialSegments, p.tubularSegments, p.arc * Math.PI / 180 )
+    },
+
+    // Trefoil is the (2,3) torus knot; other coprime (p,q) pairs give other knots
+    'Torus knot (p,q)': {
+        parameters: { p: 2, q: 3, tubeRatio: .4, tubularSegments: 200, radialSegments: 20 },
+        ranges: { p: [ 1, 12, 1 ], q: [ 1, 12, 1 ], tubeRatio: [ .05, 1, .01 ], tubularSegments: [ 32, 512, 1 ], radialSegments: [ 6, 48, 1 ] },
+        build: ( p ) => new TorusKnotBufferGeometry( 1, p.tubeRatio, p.tubularSegments, p.radialSegments, p.p, p.q )
+    },
+
+    // Figure-8 immersion of the Klein bottle
+    'Klein bottle': {
+        parameters: { radius: 2.5, slices: 96, stacks: 48 },
+        ranges: { radius: [ 2.05, 6, .05 ], slices: [ 16, 256, 1 ], stacks: [ 8, 128, 1 ] },
+        build: ( p ) => new ParametricGeometry( function( u, v, target ) {
+
+            u *= 2 * Math.PI;
+            v *= 2 * Math.PI;
+
+            const r = p.radius + Math.cos( u / 2 ) * Math.sin( v ) - Math.sin( u / 2 ) * Math.sin( 2 * v );
+
+            target.set(
+                r * Math.cos( u ),
+                r * Math.sin( u ),
+                Math.sin( u / 2 ) * Math.sin( v ) + Math.cos( u / 2 ) * Math.sin( 2 * v )
+            );
+
+        }, p.slices, p.stacks )
+    },
+
+    // Superellipsoid: exponents below 1 give boxy shapes, above 1 pinched shapes
+    'Superquadric': {
+        parameters: { exponentNorthSouth: .5, exponentEastWest: .5, height: 1, slices: 64, stacks: 48 },
+        ranges: { exponentNorthSouth: [ .1, 4, .05 ], exponentEastWest: [ .1, 4, .05 ], height: [ .2, 3, .05 ], slices: [ 8, 192, 1 ], stacks: [ 6, 128, 1 ] },
+        build: ( p ) => new ParametricGeometry( function( u, v, target ) {
+
+            const longitude = ( u * 2 - 1 ) * Math.PI;
+            const latitude = ( v - .5 ) * Math.PI;
+
+            const cosLatitude = signedPower( Math.cos( latitude ), p.exponentNorthSouth );
+
+            target.set(
+                cosLatitude * signedPower( Math.cos( longitude ), p.exponentEastWest ),
+                cosLatitude * signedPower( Math.sin( longitude ), p.exponentEastWest ),
+                p.height * signedPower( Math.sin( latitude ), p.exponentNorthSouth )
+            );
+
+        }, p.slices, p.stacks )
+    },
+
+    // One half twist gives the classic Möbius strip
+    'Möbius strip': {
+        parameters: { width: .5, halfTwists: 1, slices: 128, stacks: 12 },
+        ranges: { width: [ .05, 1.5, .01 ], halfTwists: [ 1, 9, 1 ], slices: [ 16, 512, 1 ], stacks: [ 1, 48, 1 ] },
+        build: ( p ) => new ParametricGeometry( function( u, v, target ) {
+
+            const t = u * 2 * Math.PI;
+            const s = ( v - .5 ) * p.width;
+            const twist = p.halfTwists * t / 2;
+
+            const r = 1 + s * Math.cos( twist );
+
+            target.set( r * Math.cos( t ), r * Math.sin( t ), s * Math.sin( twist ) );
+
+        }, p.slices, p.stacks )
+    },
+
+    // Patch of the triply periodic minimal surface sin x cos y + sin y cos z + sin z cos x = 0
+    'Gyroid patch': {
+        parameters: { periods: 1, offset: 0, resolution: 24 },
+        ranges: { periods: [ .5, 4, .25 ], offset: [ -1, 1, .05 ], resolution: [ 16, 128, 1 ] },
+        build: ( p ) => {
+
+            const extent = p.periods * Math.PI;
+            const box = new Box3( new Vector3( -extent, -extent, -extent ), new Vector3( extent, extent, extent ) );
+
+            return polygonizeField( function( x, y, z ) {
+
+                return Math.sin( x ) * Math.cos( y ) + Math.sin( y ) * Math.cos( z ) + Math.sin( z ) * Math.cos( x );
+
+            }, box, p.resolution, p.offset );
+
+        }
+    }
+
+};
+
+export { primitives }
\ No newline at end of file
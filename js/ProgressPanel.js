@@ -0,0 +1,73 @@
+/*
+Progress Panel
+- Shows the running process, its current phase and percent complete
+- The Cancel button calls onCancel with the running process
+*/
+
+class ProgressPanel {
+
+    constructor( onCancel, parent = document.body ) {
+
+        this.process = null;
+        this.onCancel = onCancel;
+
+        this.dom = document.createElement( "div" );
+        Object.assign( this.dom.style, {
+            position: "fixed",
+            top: "8px",
+            left: "50%",
+            transform: "translateX( -50% )",
+            minWidth: "320px",
+            padding: "6px 10px",
+            background: "rgba( 20, 20, 20, .85 )",
+            color: "#d0d0d0",
+            font: "12px sans-serif",
+            zIndex: 10000,
+            display: "none"
+        } );
+
+        this.label = document.createElement( "div" );
+
+        this.bar = document.createElement( "div" );
+        Object.assign( this.bar.style, { height: "4px", margin: "5px 0px", background: "#555555" } );
+
+        this.barFill = document.createElement( "div" );
+        Object.assign( this.barFill.style, { height: "100%", width: "0%", background: "#ea7340" } );
+        this.bar.appendChild( this.barFill );
+
+        this.cancelButton = document.createElement( "button" );
+        this.cancelButton.textContent = "Cancel";
+        Object.assign( this.cancelButton.style, { font: "inherit", cursor: "pointer" } );
+        this.cancelButton.addEventListener( "click", () => {
+
+            if ( this.process ) this.onCancel( this.process );
+
+        } );
+
+        this.dom.append( this.label, this.bar, this.cancelButton );
+        parent.appendChild( this.dom );
+
+    }
+
+    show( process ) {
+
+        this.process = process;
+
+        const { percent, phase } = process.progress;
+
+        this.label.textContent = process.processName + ( ( phase ) ? ": " + phase : "" ) + " (" + Math.floor( percent ) + "%)";
+        this.barFill.style.width = percent + "%";
+        this.dom.style.display = "block";
+
+    }
+
+    hide() {
+
+        this.process = null;
+        this.dom.style.display = "none";
+
+    }
+
+}
+
+export { ProgressPanel }
\ No newline at end of file
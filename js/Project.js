@@ -0,0 +1,121 @@
+/*
+Project
+- Saves the source and the settings of the application as a single, versioned JSON document
+- The source objects are embedded as a base64 encoded GLB file, with their arrangement in the scene
+- Documents of an earlier version are upgraded when they are opened
+*/
+
+import { GLTFExporter } from 'three/exporters/GLTFExporter';
+
+const projectFormat = "3D Pen Craft project";
+const projectVersion = 1;
+
+// Upgrades of the document from the version of the key to the next version
+const upgrades = {};
+
+function encodeBase64( buffer ) {
+
+    // Converted in chunks, since the arguments of fromCharCode are limited in number
+    const bytes = new Uint8Array( buffer );
+    const chunkSize = 0x8000;
+    let binary = "";
+
+    for ( let i = 0, l = bytes.length; i < l; i += chunkSize ) {
+
+        binary += String.fromCharCode.apply( null, bytes.subarray( i, i + chunkSize ) );
+
+    }
+
+    return btoa( binary );
+
+}
+
+function decodeBase64( text ) {
+
+    const binary = atob( text );
+    const bytes = new Uint8Array( binary.length );
+
+    for ( let i = 0, l = binary.length; i < l; i++ ) bytes[ i ] = binary.charCodeAt( i );
+
+    return bytes.buffer;
+
+}
+
+function exportSource( objects ) {
+
+    // The objects are exported with their transform relative to their parent, and their userData
+    return new Promise( function( resolve, reject ) {
+
+        new GLTFExporter().parse( objects, resolve, reject, { binary: true } );
+
+    } );
+
+}
+
+async function createProject( settings, source ) {
+
+    // source: { name, type, objects }
+    const glb = await exportSource( source.objects );
+
+    return {
+        format: projectFormat,
+        version: projectVersion,
+        saved: new Date().toISOString(),
+        settings: settings,
+        source: {
+            name: source.name,
+            type: source.type,
+            glb: encodeBase64( glb )
+        }
+    };
+
+}
+
+function parseProject( text ) {
+
+    // Returns the settings and the source of the project, with the GLB file as an ArrayBuffer
+    let project;
+
+    try {
+
+        project = JSON.parse( text );
+
+    }
+
+    catch( err ) {
+
+        throw new Error( "The project file is not valid JSON. (" + err.message + ")" );
+
+    }
+
+    if ( !project || project.format !== projectFormat ) throw new Error( "The file is not a " + projectFormat + "." );
+
+    if ( !Number.isInteger( project.version ) || project.version > projectVersion ) {
+
+        throw new Error( "The project was saved by a newer version of the application (version " + project.version + ")." );
+
+    }
+
+    while ( project.version < projectVersion ) {
+
+        const upgrade = upgrades[ project.version ];
+        if ( !upgrade ) throw new Error( "Projects of version " + project.version + " are not supported." );
+
+        project = upgrade( project );
+
+    }
+
+    if ( !project.source || typeof project.source.glb !== "string" ) throw new Error( "The project does not contain a source object." );
+
+    return {
+        settings: project.settings || {},
+        source: {
+            name: project.source.name || "Project",
+            type: project.source.type || "File",
+            contents: decodeBase64( project.source.glb )
+        }
+    };
+
+}
+
+export { projectVersion, createProject, parseProject }
\ No newline at end of file
@@ -0,0 +1,152 @@
+/*
+Search Algorithms
+- Registry of the algorithms that SearchProcess uses to find the extrusion paths
+- Algorithms can be shipped as separate modules that register themselves when they are imported:
+
+    import { registerSearchAlgorithm } from './SearchAlgorithms.js';
+
+    registerSearchAlgorithm( 'Spiral', {
+        module: import.meta.url,
+        settings: {
+            turns: { name: "Turns", value: 10, min: 1, max: 100, step: 1 },
+            clockwise: { name: "Clockwise", value: true },
+            start: { name: "Start at", value: "Bottom", options: [ "Bottom", "Top" ] }
+        },
+        search: function*( data, settings, process ) { ... return paths; }
+    } );
+
+- search is called for each geometry, with its GeometryModifier (faces and vertices), the values of
+  the settings and the search process. It returns the paths: arrays of Vector3 points, in meters.
+  Long running searches are generators, which yield regularly and return the paths.
+  process.reportProgress( fraction, phase ) reports the progress within the geometry.
+- The settings schema defines the default value of each setting, and how it is shown in the GUI:
+  numbers with min and max as sliders, values with options as dropdowns, others as checkboxes or text.
+  A text setting with pick: true holds a point ( "x, y, z" in mm ), picked by clicking the pre-processing result.
+- usesPenProfile: true searches again when the filament diameter of the pen profile changes, e.g. to
+  space the paths by it (process.penProfile.diameter, in mm)
+- module is the URL of the registering module, which is imported by the pipeline worker
+*/
+
+class SearchAlgorithmRegistry {
+
+    constructor() {
+
+        this.algorithms = new Map();
+
+        this.listeners = [];
+
+    }
+
+    addListener( listener ) {
+
+        this.listeners.push( listener );
+
+    }
+
+    removeListener( listener ) {
+
+        this.listeners = this.listeners.filter( ( item ) => item !== listener );
+
+    }
+
+    register( name, definition ) {
+
+        if ( typeof name !== "string" || name.trim() === "" ) throw new Error( "A search algorithm needs a name." );
+        if ( !definition || typeof definition.search !== "function" ) throw new Error( "Search algorithm " + name + " needs a search function." );
+
+        const settings = definition.settings || {};
+
+        for ( const key in settings ) {
+
+            if ( !settings[ key ] || settings[ key ].value === undefined ) {
+
+                throw new Error( "Setting " + key + " of search algorithm " + name + " needs a default value." );
+
+            }
+
+        }
+
+        // Registering a name again replaces the algorithm
+        const algorithm = {
+            name,
+            settings,
+            search: definition.search,
+            usesPenProfile: Boolean( definition.usesPenProfile ),
+            module: definition.module || null
+        };
+        this.algorithms.set( name, algorithm );
+
+        for ( const listener of this.listeners ) listener( this, algorithm );
+
+        return algorithm;
+
+    }
+
+    get( name ) {
+
+        return this.algorithms.get( name ) || null;
+
+    }
+
+    get names() {
+
+        return [ ...this.algorithms.keys() ];
+
+    }
+
+    get modules() {
+
+        // Modules of the algorithms that are not part of the application
+        return [ ...new Set( [ ...this.algorithms.values() ].map( ( algorithm ) => algorithm.module ).filter( Boolean ) ) ];
+
+    }
+
+    getDefaults( name ) {
+
+        const defaults = {};
+        const algorithm = this.get( name );
+
+        if ( algorithm ) {
+
+            for ( const key in algorithm.settings ) defaults[ key ] = algorithm.settings[ key ].value;
+
+        }
+
+        return defaults;
+
+    }
+
+}
+
+// Shared by the search process and the application
+const searchAlgorithms = new SearchAlgorithmRegistry();
+
+function registerSearchAlgorithm( name, definition ) {
+
+    return searchAlgorithms.register( name, definition );
+
+}
+
+// The algorithms of SearchProcess
+registerSearchAlgorithm( 'Sequential walk', {
+    search: ( data, settings, process ) => process.sequentialWalk( data )
+} );
+
+registerSearchAlgorithm( 'Nearest Neighbor', {
+    settings: {
+        improveTour: { name: "Improve (2-opt, Or-opt)", value: false },
+        improvementPasses: { name: "Improvement passes", value: 10, min: 1, max: 50, step: 1 },
+        improvementTime: { name: "Improvement time (s)", value: 10, min: 1, max: 120, step: 1 }
+    },
+    search: ( data, settings, process ) => process.nearestNeighborSearch( data, settings )
+} );
+
+registerSearchAlgorithm( 'Greedy search', {
+    search: ( data, settings, process ) => process.greedySearch( data )
+} );
+
+registerSearchAlgorithm( 'Wrapping path search', {
+    search: ( data, settings, process ) => process.WrappingPathSearch( data )
+} );
+
+export { SearchAlgorithmRegistry, searchAlgorithms, registerSearchAlgorithm }
\ No newline at end of file
@@ -0,0 +1,272 @@
+/*
+Surface Reconstruction
+- Builds a triangle mesh from an unorganized point cloud (e.g. scans without faces)
+- Based on the technique of Hoppe et al. from 1992, "Surface reconstruction from unorganized points":
+  1. Estimate a normal per point from the principal axes of its k nearest neighbors
+  2. Orient the normals consistently by propagating along a minimum spanning tree
+  3. Sample the signed distance to the tangent planes on a grid
+  4. Extract the zero level set (marching tetrahedra)
+*/
+
+import { Box3, Vector3 } from 'three';
+import { polygonizeField } from './IsoSurface.js';
+import { PointGrid } from './PointGrid.js';
+
+function smallestEigenvector( m, target ) {
+
+    // Jacobi eigenvalue iteration for the symmetric 3x3 matrix m (row-major array of 9 values)
+    const a = [ ...m ];
+    const v = [ 1, 0, 0, 0, 1, 0, 0, 0, 1 ];
+
+    for ( let sweep = 0; sweep < 32; sweep++ ) {
+
+        const offDiagonal = Math.abs( a[ 1 ] ) + Math.abs( a[ 2 ] ) + Math.abs( a[ 5 ] );
+        if ( offDiagonal < 1e-15 ) break;
+
+        for ( const [ p, q ] of [ [ 0, 1 ], [ 0, 2 ], [ 1, 2 ] ] ) {
+
+            const apq = a[ p * 3 + q ];
+            if ( Math.abs( apq ) < 1e-20 ) continue;
+
+            const theta = ( a[ q * 3 + q ] - a[ p * 3 + p ] ) / ( 2 * apq );
+            const t = Math.sign( theta || 1 ) / ( Math.abs( theta ) + Math.sqrt( theta * theta + 1 ) );
+            const c = 1 / Math.sqrt( t * t + 1 );
+            const s = t * c;
+
+            // a = J^T a J, v = v J
+            for ( let k = 0; k < 3; k++ ) {
+
+                const akp = a[ k * 3 + p ];
+                const akq = a[ k * 3 + q ];
+                a[ k * 3 + p ] = c * akp - s * akq;
+                a[ k * 3 + q ] = s * akp + c * akq;
+
+            }
+
+            for ( let k = 0; k < 3; k++ ) {
+
+                const apk = a[ p * 3 + k ];
+                const aqk = a[ q * 3 + k ];
+                a[ p * 3 + k ] = c * apk - s * aqk;
+                a[ q * 3 + k ] = s * apk + c * aqk;
+
+            }
+
+            for ( let k = 0; k < 3; k++ ) {
+
+                const vkp = v[ k * 3 + p ];
+                const vkq = v[ k * 3 + q ];
+                v[ k * 3 + p ] = c * vkp - s * vkq;
+                v[ k * 3 + q ] = s * vkp + c * vkq;
+
+            }
+
+        }
+
+    }
+
+    let smallest = 0;
+    if ( a[ 4 ] < a[ smallest * 4 ] ) smallest = 1;
+    if ( a[ 8 ] < a[ smallest * 4 ] ) smallest = 2;
+
+    return target.set( v[ smallest ], v[ 3 + smallest ], v[ 6 + smallest ] ).normalize();
+
+}
+
+function estimateNormals( points, grid, neighborCount ) {
+
+    const normals = [];
+    const neighborhoods = [];
+    const centroid = new Vector3();
+    const d = new Vector3();
+
+    for ( let i = 0, l = points.length; i < l; i++ ) {
+
+        const neighbors = grid.nearest( points[ i ], neighborCount + 1 );
+        neighborhoods.push( neighbors );
+
+        centroid.set( 0, 0, 0 );
+        for ( const index of neighbors ) centroid.add( points[ index ] );
+        centroid.divideScalar( neighbors.length );
+
+        const covariance = [ 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+
+        for ( const index of neighbors ) {
+
+            d.subVectors( points[ index ], centroid );
+
+            covariance[ 0 ] += d.x * d.x; covariance[ 1 ] += d.x * d.y; covariance[ 2 ] += d.x * d.z;
+            covariance[ 4 ] += d.y * d.y; covariance[ 5 ] += d.y * d.z;
+            covariance[ 8 ] += d.z * d.z;
+
+        }
+
+        covariance[ 3 ] = covariance[ 1 ];
+        covariance[ 6 ] = covariance[ 2 ];
+        covariance[ 7 ] = covariance[ 5 ];
+
+        normals.push( smallestEigenvector( covariance, new Vector3() ) );
+
+    }
+
+    return { normals, neighborhoods };
+
+}
+
+function orientNormals( points, normals, neighborhoods ) {
+
+    // Propagate the orientation along a maximum spanning tree of the neighborhood graph,
+    // weighted by normal parallelism, so that the orientation crosses sharp features last.
+    const count = points.length;
+    const visited = new Uint8Array( count );
+
+    // Binary max-heap of [ weight, from, to ]
+    const heap = [];
+
+    function push( item ) {
+
+        heap.push( item );
+        let i = heap.length - 1;
+
+        while ( i > 0 ) {
+
+            const parent = ( i - 1 ) >> 1;
+            if ( heap[ parent ][ 0 ] >= heap[ i ][ 0 ] ) break;
+            [ heap[ parent ], heap[ i ] ] = [ heap[ i ], heap[ parent ] ];
+            i = parent;
+
+        }
+
+    }
+
+    function pop() {
+
+        const top = heap[ 0 ];
+        const last = heap.pop();
+
+        if ( heap.length > 0 ) {
+
+            heap[ 0 ] = last;
+            let i = 0;
+
+            while ( true ) {
+
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let largest = i;
+
+                if ( left < heap.length && heap[ left ][ 0 ] > heap[ largest ][ 0 ] ) largest = left;
+                if ( right < heap.length && heap[ right ][ 0 ] > heap[ largest ][ 0 ] ) largest = right;
+                if ( largest === i ) break;
+
+                [ heap[ largest ], heap[ i ] ] = [ heap[ i ], heap[ largest ] ];
+                i = largest;
+
+            }
+
+        }
+
+        return top;
+
+    }
+
+    function visit( index ) {
+
+        visited[ index ] = 1;
+
+        for ( const neighbor of neighborhoods[ index ] ) {
+
+            if ( !visited[ neighbor ] ) push( [ Math.abs( normals[ index ].dot( normals[ neighbor ] ) ), index, neighbor ] );
+
+        }
+
+    }
+
+    // Each connected component is seeded at its highest point, with the normal pointing up
+    const order = [ ...Array( count ).keys() ].sort( ( a, b ) => points[ b ].z - points[ a ].z );
+
+    for ( const seed of order ) {
+
+        if ( visited[ seed ] ) continue;
+
+        if ( normals[ seed ].z < 0 ) normals[ seed ].negate();
+
+        visit( seed );
+
+        while ( heap.length > 0 ) {
+
+            const [ , from, to ] = pop();
+
+            if ( visited[ to ] ) continue;
+
+            if ( normals[ from ].dot( normals[ to ] ) < 0 ) normals[ to ].negate();
+
+            visit( to );
+
+        }
+
+    }
+
+}
+
+function reconstructSurface( positions, resolution = 64, neighborCount = 12 ) {
+
+    // positions is a BufferAttribute of points. Returns an indexed BufferGeometry.
+    const points = [];
+
+    for ( let i = 0, l = positions.count; i < l; i++ ) {
+
+        points.push( new Vector3().fromBufferAttribute( positions, i ) );
+
+    }
+
+    if ( points.length < 4 ) throw new Error( "The point cloud contains too few points to reconstruct a surface." );
+
+    const box = new Box3().setFromPoints( points );
+    const size = box.getSize( new Vector3() );
+    const diagonal = size.length();
+
+    // Size the neighbor grid for a few points per cell, assuming the points sample a surface
+    const area = 2 * ( size.x * size.y + size.y * size.z + size.z * size.x ) || diagonal * diagonal;
+    const spacing = Math.sqrt( area / points.length );
+    const grid = new PointGrid( points, Math.max( spacing * 2, diagonal * 1e-4 ) );
+
+    console.log( "Reconstructing surface from", points.length, "points" );
+
+    const { normals, neighborhoods } = estimateNormals( points, grid, neighborCount );
+
+    orientNormals( points, normals, neighborhoods );
+
+    // Signed distance to the tangent planes of the nearest points. Far from
+    // the points the field is undefined, which avoids closing open scans with spurious surfaces.
+    const cellSize = Math.max( size.x, size.y, size.z ) / resolution;
+    const maxDistance = Math.max( cellSize * 2, spacing * 3 );
+    const node = new Vector3();
+    const offset = new Vector3();
+
+    function signedDistance( x, y, z ) {
+
+        node.set( x, y, z );
+
+        const nearest = grid.nearest( node, 4, maxDistance );
+        if ( nearest.length === 0 ) return NaN;
+
+        let distance = 0;
+
+        for ( const index of nearest ) {
+
+            distance += offset.subVectors( node, points[ index ] ).dot( normals[ index ] );
+
+        }
+
+        return distance / nearest.length;
+
+    }
+
+    const fieldBox = box.clone().expandByScalar( cellSize * 2 );
+
+    return polygonizeField( signedDistance, fieldBox, resolution );
+
+}
+
+export { reconstructSurface }
\ No newline at end of file
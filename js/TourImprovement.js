@@ -0,0 +1,428 @@
+/*
+Tour Improvement
+- Shortens a tour through the faces, e.g. the tour found by the Nearest Neighbor search
+- Local search with 2-opt (reverse a section of the tour) and Or-opt (move a section of one to
+  three faces elsewhere in the tour). Moves are only tried towards the nearest faces of each face:
+  its neighbors in the mesh and the nearest face centers.
+- Consecutive faces that share an edge are adjacent, other steps cost their distance plus a penalty.
+  Faces that only share a vertex are not adjacent: tours that turn around vertices fold into zigzags,
+  which cover little of the surface once the points are placed and the curves are smoothed.
+- Consecutive faces that do not share a vertex are connected by a jump, which ends a path
+- Distances are between the face centers. The points of the paths are placed afterwards, such that
+  the result is measured on the placed points, see SearchProcess.improveTour.
+- The tour is open, it starts and ends at any face
+*/
+
+import { PointGrid } from './PointGrid.js';
+
+// Number of nearest face centers added to the neighbors of a face in the mesh
+const nearestCount = 8;
+
+// Lengths of the sections moved by Or-opt
+const segmentLengths = [ 1, 2, 3 ];
+
+// A jump costs as much as its distance plus a few steps between neighboring faces
+const jumpSteps = 3;
+
+const epsilon = 1e-12;
+
+class TourImprovement {
+
+    constructor( faces, tour ) {
+
+        // faces are the Triangles of the geometry, tour the indices of the faces in the order they are visited
+        this.faces = faces;
+        this.tour = tour.slice();
+
+        const facesCount = faces.length;
+
+        this.position = new Int32Array( facesCount ).fill( -1 );
+        this.tour.forEach( ( face, i ) => this.position[ face ] = i );
+
+        this.centers = new Float64Array( facesCount * 3 );
+        this.vertices = new Int32Array( facesCount * 3 );
+
+        const vertexIds = new Map();
+
+        const getVertexId = ( vertex ) => {
+
+            if ( !vertexIds.has( vertex ) ) vertexIds.set( vertex, vertexIds.size );
+            return vertexIds.get( vertex );
+
+        };
+
+        for ( let i = 0; i < facesCount; i++ ) {
+
+            const face = faces[ i ];
+
+            face.center.toArray( this.centers, i * 3 );
+
+            this.vertices[ i * 3 ] = getVertexId( face.v1 );
+            this.vertices[ i * 3 + 1 ] = getVertexId( face.v2 );
+            this.vertices[ i * 3 + 2 ] = getVertexId( face.v3 );
+
+        }
+
+        this.neighbors = null;
+
+        this.stepLength = this.getStepLength();
+        this.jumpPenalty = this.stepLength * jumpSteps;
+
+    }
+
+    getDistance( a, b ) {
+
+        const centers = this.centers;
+
+        const dx = centers[ a * 3 ] - centers[ b * 3 ];
+        const dy = centers[ a * 3 + 1 ] - centers[ b * 3 + 1 ];
+        const dz = centers[ a * 3 + 2 ] - centers[ b * 3 + 2 ];
+
+        return Math.sqrt( dx * dx + dy * dy + dz * dz );
+
+    }
+
+    getSharedVertexCount( a, b ) {
+
+        const vertices = this.vertices;
+        let shared = 0;
+
+        for ( let i = 0; i < 3; i++ ) {
+
+            const vertex = vertices[ a * 3 + i ];
+
+            if ( vertex === vertices[ b * 3 ] || vertex === vertices[ b * 3 + 1 ] || vertex === vertices[ b * 3 + 2 ] ) shared++;
+
+        }
+
+        return shared;
+
+    }
+
+    isAdjacent( a, b ) {
+
+        // Faces are adjacent when they share an edge
+        return this.getSharedVertexCount( a, b ) >= 2;
+
+    }
+
+    getCost( a, b ) {
+
+        // -1 stands for the open ends of the tour
+        if ( a < 0 || b < 0 ) return 0;
+
+        const distance = this.getDistance( a, b );
+
+        return ( this.isAdjacent( a, b ) ) ? distance : distance + this.jumpPenalty;
+
+    }
+
+    getStepLength() {
+
+        // Average distance between consecutive faces that are adjacent
+        const tour = this.tour;
+        let length = 0, count = 0;
+
+        for ( let i = 1, l = tour.length; i < l; i++ ) {
+
+            if ( !this.isAdjacent( tour[ i - 1 ], tour[ i ] ) ) continue;
+
+            length += this.getDistance( tour[ i - 1 ], tour[ i ] );
+            count++;
+
+        }
+
+        return ( count > 0 ) ? length / count : 0;
+
+    }
+
+    *buildNeighbors( onProgress ) {
+
+        const faces = this.faces;
+        const facesCount = faces.length;
+        const indices = new Map( faces.map( ( face, i ) => [ face, i ] ) );
+
+        // Size the grid for a few face centers per cell, as in the surface reconstruction
+        const grid = new PointGrid( faces.map( ( face ) => face.center ), Math.max( this.stepLength * 2, 1e-9 ) );
+
+        this.neighbors = new Array( facesCount );
+
+        for ( let i = 0; i < facesCount; i++ ) {
+
+            if ( i % 1000 === 0 ) {
+
+                onProgress( i / facesCount );
+                yield;
+
+            }
+
+            const neighbors = new Set( faces[ i ].neighbors.map( ( face ) => indices.get( face ) ) );
+
+            for ( const index of grid.nearest( faces[ i ].center, nearestCount + 1 ) ) {
+
+                if ( index !== i ) neighbors.add( index );
+
+            }
+
+            this.neighbors[ i ] = [ ...neighbors ];
+
+        }
+
+    }
+
+    getReversalGain( i, j ) {
+
+        // Gain of reversing the section of the tour from i to j
+        const tour = this.tour;
+        const previous = ( i > 0 ) ? tour[ i - 1 ] : -1;
+        const next = ( j < tour.length - 1 ) ? tour[ j + 1 ] : -1;
+
+        return this.getCost( previous, tour[ i ] ) + this.getCost( tour[ j ], next ) -
+            this.getCost( previous, tour[ j ] ) - this.getCost( tour[ i ], next );
+
+    }
+
+    reverse( i, j ) {
+
+        const tour = this.tour;
+        const position = this.position;
+
+        for ( ; i < j; i++, j-- ) {
+
+            const face = tour[ i ];
+            tour[ i ] = tour[ j ];
+            tour[ j ] = face;
+
+            position[ tour[ i ] ] = i;
+            position[ tour[ j ] ] = j;
+
+        }
+
+    }
+
+    twoOpt( a ) {
+
+        // Make a and one of its neighbors consecutive, by reversing the section between them
+        const position = this.position;
+        const ia = position[ a ];
+
+        for ( const c of this.neighbors[ a ] ) {
+
+            const ic = position[ c ];
+
+            if ( ic < 0 ) continue;
+
+            const sections = ( ic > ia ) ? [ [ ia + 1, ic ], [ ia, ic - 1 ] ] : [ [ ic + 1, ia ], [ ic, ia - 1 ] ];
+
+            for ( const [ i, j ] of sections ) {
+
+                if ( i >= j ) continue;
+
+                if ( this.getReversalGain( i, j ) > epsilon ) {
+
+                    this.reverse( i, j );
+                    return true;
+
+                }
+
+            }
+
+        }
+
+        return false;
+
+    }
+
+    orOpt( a ) {
+
+        // Move the section that starts at a next to one of the neighbors of a
+        const tour = this.tour;
+        const position = this.position;
+        const last = tour.length - 1;
+        const ia = position[ a ];
+
+        for ( const length of segmentLengths ) {
+
+            const end = ia + length - 1;
+
+            if ( end > last ) break;
+
+            const first = tour[ ia ];
+            const final = tour[ end ];
+            const previous = ( ia > 0 ) ? tour[ ia - 1 ] : -1;
+            const next = ( end < last ) ? tour[ end + 1 ] : -1;
+
+            const removalGain = this.getCost( previous, first ) + this.getCost( final, next ) - this.getCost( previous, next );
+
+            if ( removalGain <= epsilon ) continue;
+
+            for ( const c of this.neighbors[ a ] ) {
+
+                const ic = position[ c ];
+
+                if ( ic < 0 || ( ic >= ia && ic <= end ) ) continue;
+
+                // After c, in the same direction: c, first ... final, e
+                if ( ic !== ia - 1 ) {
+
+                    const e = ( ic < last ) ? tour[ ic + 1 ] : -1;
+                    const insertionCost = this.getCost( c, first ) + this.getCost( final, e ) - this.getCost( c, e );
+
+                    if ( removalGain - insertionCost > epsilon ) {
+
+                        this.moveSection( ia, length, ic, false );
+                        return true;
+
+                    }
+
+                }
+
+                // Before c, reversed: f, final ... first, c
+                if ( ic !== end + 1 ) {
+
+                    const f = ( ic > 0 ) ? tour[ ic - 1 ] : -1;
+                    const insertionCost = this.getCost( f, final ) + this.getCost( first, c ) - this.getCost( f, c );
+
+                    if ( removalGain - insertionCost > epsilon ) {
+
+                        this.moveSection( ia, length, ic, true );
+                        return true;
+
+                    }
+
+                }
+
+            }
+
+        }
+
+        return false;
+
+    }
+
+    moveSection( start, length, target, before ) {
+
+        // Moves the section after the face at target, or reversed before it
+        const tour = this.tour;
+        const section = tour.splice( start, length );
+
+        const index = ( target < start ) ? target : target - length;
+
+        if ( before ) {
+
+            section.reverse();
+            tour.splice( index, 0, ...section );
+
+        } else {
+
+            tour.splice( index + 1, 0, ...section );
+
+        }
+
+        const from = Math.min( start, index );
+        const to = Math.min( Math.max( start, index + 1 ) + length, tour.length );
+
+        for ( let i = from; i < to; i++ ) this.position[ tour[ i ] ] = i;
+
+    }
+
+    *improve( maxPasses, timeBudget, onProgress = () => {} ) {
+
+        // Passes over all faces until no move improves the tour, or the budget is used.
+        // timeBudget is in milliseconds. Returns the number of passes and moves.
+        const start = performance.now();
+
+        if ( !this.neighbors ) yield* this.buildNeighbors( ( fraction ) => onProgress( fraction, "Finding the nearest faces" ) );
+
+        const facesCount = this.faces.length;
+        let passes = 0, moves = 0, timedOut = false;
+
+        while ( passes < maxPasses && !timedOut ) {
+
+            let passMoves = 0;
+
+            for ( let a = 0; a < facesCount; a++ ) {
+
+                if ( a % 250 === 0 ) {
+
+                    const elapsed = performance.now() - start;
+
+                    if ( elapsed > timeBudget ) {
+
+                        timedOut = true;
+                        break;
+
+                    }
+
+                    onProgress( Math.max( ( passes + a / facesCount ) / maxPasses, elapsed / timeBudget ), "Improving the tour (pass " + ( passes + 1 ) + ")" );
+                    yield;
+
+                }
+
+                if ( this.position[ a ] < 0 ) continue;
+
+                if ( this.twoOpt( a ) || this.orOpt( a ) ) passMoves++;
+
+            }
+
+            passes++;
+            moves += passMoves;
+
+            if ( passMoves === 0 ) break;
+
+        }
+
+        return { passes, moves, timedOut, time: performance.now() - start };
+
+    }
+
+    getPaths() {
+
+        // The tour split at its jumps, as arrays of face indices
+        const tour = this.tour;
+        const paths = [];
+        let path = [];
+
+        for ( let i = 0, l = tour.length; i < l; i++ ) {
+
+            if ( i > 0 && this.getSharedVertexCount( tour[ i - 1 ], tour[ i ] ) === 0 ) {
+
+                paths.push( path );
+                path = [];
+
+            }
+
+            path.push( tour[ i ] );
+
+        }
+
+        if ( path.length > 0 ) paths.push( path );
+
+        return paths;
+
+    }
+
+    getStatistics() {
+
+        // Steps around a vertex (faces that share only a vertex) and jumps, paths of a single face are not extruded
+        const tour = this.tour;
+        let vertexSteps = 0, jumps = 0;
+
+        for ( let i = 1, l = tour.length; i < l; i++ ) {
+
+            const shared = this.getSharedVertexCount( tour[ i - 1 ], tour[ i ] );
+
+            if ( shared === 1 ) vertexSteps++;
+            if ( shared === 0 ) jumps++;
+
+        }
+
+        const pathCount = this.getPaths().filter( ( path ) => path.length > 1 ).length;
+
+        return { vertexSteps, jumps, pathCount };
+
+    }
+
+}
+
+export { TourImprovement }
\ No newline at end of file
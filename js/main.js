@@ -10,6 +10,14 @@ import { PreProcessorProcess } from './processes/PreProcessorProcess.js';
 import { SearchProcess } from './processes/SearchProcess.js';
 import { CurveIntrapolationProcess } from './processes/CurveIntrapolationProcess.js';
 import { SimulationProcess } from './processes/SimulationProcess.js';
+import { primitives } from './PrimitiveGeometries.js';
+import { penProfiles, defaultPenProfile } from './PenProfiles.js';
+import { diagnostics } from './Diagnostics.js';
+import { DiagnosticsPanel } from './DiagnosticsPanel.js';
+import { ProgressPanel } from './ProgressPanel.js';
+import { PipelineWorkerClient } from './PipelineWorkerClient.js';
+import { createProject, parseProject } from './Project.js';
+import { searchAlgorithms } from './SearchAlgorithms.js';
 
 
 // Hex color values used by UI
@@ -22,10 +30,16 @@ const colorValues = {
 
 // typical three.js variables
 let camera, scene, fullScreenScene, renderer, canvas;
-let stats, orbitControls, transformControls;
+let stats, orbitControls, transformControls, diagnosticsPanel, progressPanel;
 let aLight, aSpotLight;
 let rayCaster, mouseDownPosition, mouseUpPosition;
-let gui;
+let gui, poseFolder, primitiveFolder, partsFolder, searchFolder;
+let primitiveControllers = [];
+let algorithmController;
+let searchSettingControllers = [];
+
+// Selected pen profile, with values that can be adjusted in the GUI
+const penSettings = { profile: defaultPenProfile, ...penProfiles[ defaultPenProfile ] };
 
 // Used to add simulation animation in fullscreen mode to the scene
 let simulationObject;
@@ -48,6 +62,17 @@ let simulationProcess = new SimulationProcess( onProcessCompleted, onProcessErro
 
 const processArray = [ loadingProcess, preProcessorProcess, searchProcess, curveIntrapolationProcess, simulationProcess ];
 
+// Processes that run in the pipeline worker, when available
+const workerProcesses = [ preProcessorProcess, searchProcess, curveIntrapolationProcess ];
+
+// Settings of the processes that are saved in a project
+const projectSettings = {
+    source: [ loadingProcess, [ "targetSize", "targetDimension", "targetUnit", "keepNativeUnits", "sourceUnit", "composeScene" ] ],
+    preProcessing: [ preProcessorProcess, [ "reductionFactor", "wireframe", "flatShading" ] ],
+    search: [ searchProcess, [ "searchAlgorithm", "searchSettings", "terminatePaths" ] ],
+    simulation: [ simulationProcess, [ "pointMultiplier" ] ]
+};
+
 // State variables
 let state = loadingProcess.processName;
 let fullScreenMode = false;
@@ -100,6 +125,23 @@ function init() {
     // Add process visuals to scene
     processArray.forEach( ( process ) => { scene.add( process.root ) } );
 
+    // Progress of long running processes, which can be cancelled
+    processArray.forEach( ( process ) => {
+
+        process.onProgress = onProcessProgress;
+        process.onCancelled = onProcessCancelled;
+        process.onRunningChange = updateCursor;
+
+    } );
+
+    // Run the heavy processes in a worker, such that the page stays responsive
+    if ( window.Worker ) {
+
+        const pipelineWorker = new PipelineWorkerClient( onPipelineWorkerFailed );
+        workerProcesses.forEach( ( process ) => { process.worker = pipelineWorker } );
+
+    }
+
     // Lights
     aLight = new THREE.AmbientLight( 0xffffff, .8 );
     scene.add( aLight );
@@ -128,6 +170,9 @@ function init() {
     transformControls.addEventListener( 'dragging-changed', function ( event ) {
         
         orbitControls.enabled = !event.value;
+
+        // A part of the composed scene was moved, rotated or scaled
+        if ( !event.value && loadingProcess.parts.includes( transformControls.object ) ) onCompositionChange();
         
     } );
     scene.add( transformControls );
@@ -136,6 +181,11 @@ function init() {
     stats = Stats();
     document.body.appendChild( stats.dom );
 
+    // Log of timings, warnings and errors
+    diagnosticsPanel = new DiagnosticsPanel( diagnostics );
+
+    progressPanel = new ProgressPanel( cancelProcess );
+
     // dat.GUI initialization
     initDatGUI()
 
@@ -144,6 +194,10 @@ function init() {
     
     canvas.addEventListener( 'mousedown', onMouseDown );
 
+    // Drag & drop of source files (or .zip archives) onto the canvas
+    canvas.addEventListener( 'dragover', onDragOver );
+    canvas.addEventListener( 'drop', onDrop );
+
     // Load headings asynchronuously, start animation loop when done
     const loader = new FontLoader();
 
@@ -180,6 +234,9 @@ function init() {
 
         }
 
+        // The same font is used for text sources
+        loadingProcess.font = font;
+
         loadDefaultSourceFile();
 
         animate();
@@ -187,7 +244,7 @@ function init() {
     }, undefined, function ( err ) {
                 
         console.log("Headings could not be loaded.", err.message);
-        alert( "Fatal error: Application headings could not be loaded" );
+        diagnostics.error( "Application", "Fatal error: Application headings could not be loaded. " + err.message, err );
             
     });
     
@@ -200,30 +257,88 @@ function initDatGUI() {
     const generalFolder = gui.addFolder( "General settings" );
     generalFolder.add( aLight, "intensity", 0, 1 ).name( "Ambient light intensity" );
     generalFolder.add( aSpotLight, "power", 0, 1000 ).name( "Spot light power" );
-    generalFolder.addColor( colorValues, "BG_COLOR").name( "Background color" ).onChange( () => {
-
-        scene.background = new THREE.Color( colorValues.BG_COLOR );
-        fullScreenScene.background = new THREE.Color( colorValues.BG_COLOR );
-
-    });
+    generalFolder.addColor( colorValues, "BG_COLOR").name( "Background color" ).onChange( onBackgroundColorChange );
     generalFolder.addColor( colorValues, "NORMAL_TEXT_COLOR" ).name( "Text color" ).onChange( setTextColors )
-    generalFolder.addColor( colorValues, "FG_COLOR").name( "Object color").onChange( () => {
-
-        for ( const process of processArray ) {
+    generalFolder.addColor( colorValues, "FG_COLOR").name( "Object color").onChange( onObjectColorChange );
 
-            process.defaultColor = colorValues.FG_COLOR;
-            process.updateColor();
+    const projectFolder = gui.addFolder( "Project" );
+    projectFolder.add( { saveProject: saveProject }, "saveProject" ).name( "Save project" );
+    projectFolder.add( { openProject: openProject }, "openProject" ).name( "Open project" );
 
-        }
+    const penFolder = gui.addFolder( "Pen & filament" );
+    penFolder.add( penSettings, "profile", Object.keys( penProfiles ) ).name( "Profile" ).onChange( () => {
 
+        Object.assign( penSettings, penProfiles[ penSettings.profile ] );
+        penFolder.__controllers.forEach( ( controller ) => controller.updateDisplay() );
+        onPenProfileChange();
 
-    })
+    } );
+    penFolder.add( penSettings, "diameter", .5, 5, .05 ).name( "Diameter (mm)" ).onFinishChange( onPenProfileChange );
+    penFolder.add( penSettings, "minBendRadius", .5, 20, .1 ).name( "Min. bend radius (mm)" ).onFinishChange( onPenProfileChange );
+    penFolder.add( penSettings, "feedRate", .5, 30, .1 ).name( "Feed rate (mm/s)" ).onFinishChange( onPenProfileChange );
+    penFolder.add( penSettings, "stickLength", 50, 10000, 10 ).name( "Stick length (mm)" ).onFinishChange( onPenProfileChange );
+    penFolder.add( curveIntrapolationProcess, "buildEstimate" ).name( "Build estimate" ).listen();
 
     const loadingFolder = gui.addFolder( "Source settings" );
     loadingFolder.add( loadingProcess, "sourceName" ).name( "Source file" );
     loadingFolder.add( { defaultSource: loadDefaultSourceFile }, "defaultSource" ).name( "Click for default source" );
     loadingFolder.add( { browseSource: browseSourceFile }, "browseSource" ).name( "Click to browse source" );
 
+    const compositionFolder = loadingFolder.addFolder( "Scene composition" );
+    compositionFolder.add( loadingProcess, "composeScene" ).name( "Add loads to the scene" );
+    compositionFolder.add( transformControls, "mode", [ "translate", "rotate", "scale" ] ).name( "Transform mode" );
+    compositionFolder.add( { removePart: removeSelectedPart }, "removePart" ).name( "Remove selected object" );
+    compositionFolder.add( { clearScene: clearScene }, "clearScene" ).name( "Clear the scene" );
+
+    // Populated with the objects of the scene when loading completes
+    partsFolder = compositionFolder.addFolder( "Include in search" );
+
+    const sizeFolder = loadingFolder.addFolder( "Size" );
+    sizeFolder.add( loadingProcess, "targetSize", .1, 1000 ).name( "Target size" ).onFinishChange( reloadSource );
+    sizeFolder.add( loadingProcess, "targetDimension", [ "Diagonal", "Width", "Height", "Depth" ] ).name( "Measured along" ).onChange( reloadSource );
+    sizeFolder.add( loadingProcess, "targetUnit", [ "mm", "cm", "in" ] ).name( "Unit" ).onChange( reloadSource );
+    sizeFolder.add( loadingProcess, "keepNativeUnits" ).name( "Keep native size" ).onChange( reloadSource );
+    sizeFolder.add( loadingProcess, "sourceUnit", [ "Auto", "µm", "mm", "cm", "m", "in", "ft", "px" ] ).name( "Source file unit" ).onChange( reloadSource );
+    sizeFolder.add( loadingProcess, "detectedUnit" ).name( "Detected unit" ).listen();
+    sizeFolder.add( loadingProcess, "sizeDescription" ).name( "Sculpture size" ).listen();
+
+    primitiveFolder = loadingFolder.addFolder( "Primitive" );
+    primitiveFolder.add( loadingProcess, "primitive", Object.keys( primitives ) )
+        .name( "Primitive" )
+        .onChange( () => {
+
+            updatePrimitiveFolder();
+            loadPrimitive();
+
+        } );
+    primitiveFolder.add( { loadPrimitive: loadPrimitive }, "loadPrimitive" ).name( "Click to load primitive" );
+    updatePrimitiveFolder();
+
+    const reliefFolder = loadingFolder.addFolder( "Relief (heightmap images)" );
+    reliefFolder.add( loadingProcess, "reliefDepth", .005, .5, .005 ).name( "Relief depth" ).onFinishChange( onReliefChange );
+    reliefFolder.add( loadingProcess, "reliefResolution", 16, 512, 1 ).name( "Resolution (pixels)" ).onFinishChange( onReliefChange );
+    reliefFolder.add( loadingProcess, "reliefBaseThickness", 0, .2, .005 ).name( "Base thickness" ).onFinishChange( onReliefChange );
+    reliefFolder.add( loadingProcess, "reliefInvert" ).name( "Invert" ).onChange( onReliefChange );
+
+    const reconstructionFolder = loadingFolder.addFolder( "Point cloud reconstruction" );
+    reconstructionFolder.add( loadingProcess, "reconstructionResolution", 16, 160, 1 )
+        .name( "Resolution" )
+        .onFinishChange( onReconstructionChange );
+    reconstructionFolder.add( loadingProcess, "reconstructionNeighbors", 4, 32, 1 )
+        .name( "Normal neighbors" )
+        .onFinishChange( onReconstructionChange );
+
+    const extrusionFolder = loadingFolder.addFolder( "Text & SVG extrusion" );
+    extrusionFolder.add( loadingProcess, "text" ).name( "Text" );
+    extrusionFolder.add( { loadText: loadText }, "loadText" ).name( "Click to load text" );
+    extrusionFolder.add( loadingProcess, "extrudeDepth", .01, 2, .01 ).name( "Depth" ).onFinishChange( onExtrusionChange );
+    extrusionFolder.add( loadingProcess, "bevelEnabled" ).name( "Bevel" ).onChange( onExtrusionChange );
+    extrusionFolder.add( loadingProcess, "bevelThickness", 0, .2, .005 ).name( "Bevel thickness" ).onFinishChange( onExtrusionChange );
+    extrusionFolder.add( loadingProcess, "bevelSize", 0, .2, .005 ).name( "Bevel size" ).onFinishChange( onExtrusionChange );
+
+    // Populated once a source with animation clips or morph targets is loaded
+    poseFolder = loadingFolder.addFolder( "Pose" );
+
     const preprocessorFolder = gui.addFolder( "Pre-processor settings" );
     preprocessorFolder.add( preProcessorProcess, "wireframe")
         .name( "Wireframe" )
@@ -238,15 +353,19 @@ function initDatGUI() {
         .listen()
         .onFinishChange( onReductionFactorChange );
 
-    const searchFolder = gui.addFolder( "Search settings" );
-    searchFolder.add( searchProcess, "searchAlgorithm", searchProcess.searchAlgorithms )
+    searchFolder = gui.addFolder( "Search settings" );
+    algorithmController = searchFolder.add( searchProcess, "searchAlgorithm", searchProcess.searchAlgorithms )
         .name( "Algorithm")
         .listen()
-        .onChange( onSearchChange );
+        .onChange( onSearchAlgorithmChange );
     searchFolder.add( searchProcess, "terminatePaths" )
         .name( "Terminate the paths")
         .listen()
         .onChange( onSearchChange );
+    updateSearchSettingsFolder();
+
+    // Algorithms registered later are added to the list
+    searchAlgorithms.addListener( updateSearchAlgorithms );
 
     const simulationFolder = gui.addFolder( "Simulation settings" );
     simulationFolder.add( timing, "speed", 0.005, 0.1, 0.001).name( "Speed" );
@@ -345,13 +464,25 @@ function runQueuedProcess() {
         const index = processArray.indexOf( process );
 
         if ( index !== -1 ) {
-        
+
+            // Earlier processes that are still running continue the pipeline themselves
+            for ( let i = 0; i < index; i++ ) {
+
+                if ( processArray[ i ].running ) return;
+
+            }
+
+            // Later processes are stopped and hidden. Their results are shown again
+            // if this process is cancelled, and they are still valid.
             for ( let i = index + 1, l = processArray.length; i < l; i++ ) {
 
-                processArray[ i ].reset();
+                processArray[ i ].abort();
+                processArray[ i ].root.visible = false;
 
             }
 
+            process.root.visible = true;
+
             state = process.processName;
 
             gui.updateGUI();
@@ -372,9 +503,13 @@ function runQueuedProcess() {
 // Process callbacks
 function onProcessCompleted( processName ) {
 
+    progressPanel.hide();
+
     switch ( processName ) {
 
         case loadingProcess.processName:
+            updatePoseFolder();
+            updatePartsFolder();
             queueProcess( preProcessorProcess, loadingProcess.result );
             break;
 
@@ -398,10 +533,97 @@ function onProcessCompleted( processName ) {
 
 }
 
-function onProcessError( err ) {
+function onProcessError( err, processName ) {
 
+    // The error is shown in the diagnostics panel. Processing stops at the failed stage,
+    // except that a failed load returns to the source that was loaded before.
     clearQueue();
-    loadDefaultSourceFile();
+    progressPanel.hide();
+
+    restorePipeline( processName );
+
+    if ( processName === loadingProcess.processName ) updatePartsFolder();
+
+}
+
+function onProcessProgress( process ) {
+
+    progressPanel.show( process );
+
+}
+
+function updateCursor() {
+
+    // Indicate whether a process is running
+    document.body.style.cursor = ( processArray.some( ( process ) => process.running ) ) ? "progress" : "auto";
+
+}
+
+function cancelProcess( process ) {
+
+    clearQueue();
+    process.cancel();
+
+}
+
+function onProcessCancelled( processName ) {
+
+    progressPanel.hide();
+
+    restorePipeline( processName );
+
+    if ( processName === loadingProcess.processName ) updatePartsFolder();
+
+}
+
+function onPipelineWorkerFailed() {
+
+    // The processes continue on the main thread. Results of the worker refer to data
+    // that was kept in the worker, so these are computed again from the loaded source.
+    workerProcesses.forEach( ( process ) => {
+
+        process.worker = null;
+        process.clearCache();
+
+    } );
+
+    const workerUsed = workerProcesses.some( ( process ) => process.running || process.result.workerResultId !== undefined );
+
+    if ( workerUsed && loadingProcess.completedParams ) queueProcess( preProcessorProcess, loadingProcess.result );
+
+}
+
+function restorePipeline( processName ) {
+
+    // Returns to the last completed state after a process stopped: the results of later processes
+    // are shown again if they were computed from the current results, and removed otherwise
+    const index = processArray.findIndex( ( process ) => process.processName === processName );
+    const process = processArray[ index ];
+
+    state = ( process.completedParams || index === 0 ) ? process.processName : processArray[ index - 1 ].processName;
+
+    for ( let i = index + 1, l = processArray.length; i < l; i++ ) {
+
+        const previous = processArray[ i - 1 ];
+        const current = processArray[ i ];
+
+        if ( state === previous.processName && current.completedParams && current.completedParams === previous.result ) {
+
+            state = current.processName;
+
+        } else {
+
+            current.clear();
+
+        }
+
+        current.root.visible = true;
+
+    }
+
+    gui.updateGUI();
+
+    setTextColors();
 
 }
 
@@ -417,7 +639,7 @@ function browseSourceFile() {
         input.removeEventListener( 'change', browseSource );
 
         queueProcess( loadingProcess, {
-            sourceFile: input.files[0],
+            sourceFiles: [ ...input.files ],
             loadDefaultSource: false 
         } );
 
@@ -433,6 +655,217 @@ function loadDefaultSourceFile() {
 
 }
 
+function loadPrimitive() {
+
+    queueProcess( loadingProcess, { loadPrimitive: true } );
+
+}
+
+function updatePrimitiveFolder() {
+
+    // Show the parameters of the selected primitive
+    primitiveControllers.forEach( ( controller ) => primitiveFolder.remove( controller ) );
+
+    const name = loadingProcess.primitive;
+    const ranges = primitives[ name ].ranges;
+    const parameters = loadingProcess.primitiveParameters[ name ];
+
+    primitiveControllers = Object.keys( parameters ).map( ( key ) => {
+
+        return primitiveFolder.add( parameters, key, ...ranges[ key ] )
+            .name( key.replace( /([A-Z])/g, " $1" ).toLowerCase() )
+            .onFinishChange( loadPrimitive );
+
+    } );
+
+}
+
+function updateSearchAlgorithms() {
+
+    algorithmController = algorithmController.options( searchProcess.searchAlgorithms )
+        .name( "Algorithm" )
+        .listen()
+        .onChange( onSearchAlgorithmChange );
+
+    updateSearchSettingsFolder();
+
+}
+
+function updateSearchSettingsFolder() {
+
+    // Show the settings of the selected search algorithm, as defined by its schema
+    searchSettingControllers.forEach( ( controller ) => searchFolder.remove( controller ) );
+    searchSettingControllers = [];
+
+    const algorithm = searchAlgorithms.get( searchProcess.searchAlgorithm );
+    if ( !algorithm ) return;
+
+    const values = searchProcess.searchSettings;
+
+    for ( const key in algorithm.settings ) {
+
+        const { name, options, min, max, step } = algorithm.settings[ key ];
+        let controller;
+
+        if ( options ) {
+
+            controller = searchFolder.add( values, key, options );
+
+        } else if ( min !== undefined && max !== undefined ) {
+
+            controller = searchFolder.add( values, key, min, max, step );
+
+        } else {
+
+            controller = searchFolder.add( values, key );
+
+        }
+
+        searchSettingControllers.push( controller.name( name || key ).onFinishChange( onSearchChange ) );
+
+    }
+
+}
+
+function loadText() {
+
+    queueProcess( loadingProcess, { loadText: true } );
+
+}
+
+function onExtrusionChange() {
+
+    if ( loadingProcess.sourceType === "Text" || loadingProcess.sourceType === "SVG" ) reloadSource();
+
+}
+
+function onReconstructionChange() {
+
+    if ( loadingProcess.sourceType === "Point cloud" ) reloadSource();
+
+}
+
+function onReliefChange() {
+
+    if ( loadingProcess.sourceType === "Relief" ) reloadSource();
+
+}
+
+function reloadSource() {
+
+    queueProcess( loadingProcess, { ...loadingProcess.lastParams, reload: true } );
+
+}
+
+function updatePoseFolder() {
+
+    for ( const controller of [ ...poseFolder.__controllers ] ) {
+
+        poseFolder.remove( controller );
+
+    }
+
+    const clips = loadingProcess.animationClips;
+
+    if ( clips.length > 0 ) {
+
+        const clipNames = [ "None", ...clips.map( ( clip ) => clip.name ) ];
+        const selectedClip = clips.find( ( clip ) => clip.name === loadingProcess.poseClip );
+        const duration = ( selectedClip ) ? selectedClip.duration : Math.max( ...clips.map( ( clip ) => clip.duration ) );
+
+        poseFolder.add( loadingProcess, "poseClip", clipNames )
+            .name( "Animation clip" )
+            .onChange( reloadSource );
+        poseFolder.add( loadingProcess, "poseTime", 0, duration, duration / 100 )
+            .name( "Clip time (s)" )
+            .onFinishChange( reloadSource );
+
+    }
+
+    // Morph weights are used when no animation clip is selected
+    for ( const name of loadingProcess.morphTargets ) {
+
+        poseFolder.add( loadingProcess.morphWeights, name, 0, 1, 0.01 )
+            .name( "Morph: " + name )
+            .onFinishChange( reloadSource );
+
+    }
+
+}
+
+function updatePartsFolder() {
+
+    for ( const controller of [ ...partsFolder.__controllers ] ) {
+
+        partsFolder.remove( controller );
+
+    }
+
+    // Deselect parts that were replaced or removed
+    if ( transformControls.object && !transformControls.object.parent ) transformControls.detach();
+
+    loadingProcess.parts.forEach( ( part, index ) => {
+
+        partsFolder.add( part.userData, "includeInSearch" )
+            .name( ( index + 1 ) + ". " + part.name )
+            .onChange( onCompositionChange );
+
+    } );
+
+}
+
+function onCompositionChange() {
+
+    try {
+
+        loadingProcess.updateComposition();
+
+    }
+
+    catch( err ) {
+
+        diagnostics.error( "Scene composition", err.message, err );
+        return;
+
+    }
+
+    queueProcess( preProcessorProcess, loadingProcess.result );
+
+}
+
+function removeSelectedPart() {
+
+    const part = transformControls.object;
+
+    if ( !loadingProcess.parts.includes( part ) ) {
+
+        diagnostics.warn( "Scene composition", "Select an object of the source scene first." );
+        return;
+
+    }
+
+    transformControls.detach();
+    loadingProcess.removePart( part );
+
+    if ( loadingProcess.parts.length === 0 ) {
+
+        clearScene();
+        return;
+
+    }
+
+    updatePartsFolder();
+    onCompositionChange();
+
+}
+
+function clearScene() {
+
+    transformControls.detach();
+    queueProcess( loadingProcess, { loadDefaultSource: true, clearScene: true } );
+
+}
+
 function onReductionFactorChange() {
 
     queueProcess( preProcessorProcess, loadingProcess.result );
@@ -445,12 +878,232 @@ function onSearchChange() {
 
 }
 
+function onSearchAlgorithmChange() {
+
+    updateSearchSettingsFolder();
+    onSearchChange();
+
+}
+
 function onPointMultiplierChange() {
 
     queueProcess( simulationProcess, curveIntrapolationProcess.result );
 
 }
 
+function onBackgroundColorChange() {
+
+    scene.background = new THREE.Color( colorValues.BG_COLOR );
+    fullScreenScene.background = new THREE.Color( colorValues.BG_COLOR );
+
+}
+
+function onObjectColorChange() {
+
+    for ( const process of processArray ) {
+
+        process.defaultColor = colorValues.FG_COLOR;
+        process.updateColor();
+
+    }
+
+}
+
+function applyPenSettings() {
+
+    const { profile, ...penProfile } = penSettings;
+
+    for ( const process of processArray ) {
+
+        process.penProfile = { ...penProfile };
+
+    }
+
+}
+
+function onPenProfileChange() {
+
+    applyPenSettings();
+
+    if ( !searchProcess.result.paths ) return;
+
+    // Search algorithms that space the paths by the filament diameter search again
+    if ( searchProcess.searchPenProfile ) onSearchChange();
+    else queueProcess( curveIntrapolationProcess, searchProcess.result );
+
+}
+
+// Projects
+function getProjectSettings() {
+
+    const settings = {
+        general: {
+            ambientLightIntensity: aLight.intensity,
+            spotLightPower: aSpotLight.power,
+            colors: { ...colorValues },
+            simulationSpeed: timing.speed
+        },
+        view: {
+            cameraPosition: camera.position.toArray(),
+            target: orbitControls.target.toArray()
+        },
+        pen: { ...penSettings }
+    };
+
+    for ( const group in projectSettings ) {
+
+        const [ process, names ] = projectSettings[ group ];
+
+        settings[ group ] = {};
+        names.forEach( ( name ) => settings[ group ][ name ] = process[ name ] );
+
+    }
+
+    return settings;
+
+}
+
+function applyProjectSettings( settings ) {
+
+    // Settings missing in the project keep their current value
+    const general = settings.general || {};
+
+    if ( general.ambientLightIntensity !== undefined ) aLight.intensity = general.ambientLightIntensity;
+    if ( general.spotLightPower !== undefined ) aSpotLight.power = general.spotLightPower;
+    if ( general.simulationSpeed !== undefined ) timing.speed = general.simulationSpeed;
+
+    if ( general.colors ) {
+
+        for ( const name in colorValues ) {
+
+            if ( general.colors[ name ] !== undefined ) colorValues[ name ] = general.colors[ name ];
+
+        }
+
+        onBackgroundColorChange();
+        onObjectColorChange();
+        setTextColors();
+
+    }
+
+    if ( settings.view ) {
+
+        camera.position.fromArray( settings.view.cameraPosition );
+        orbitControls.target.fromArray( settings.view.target );
+        orbitControls.update();
+
+    }
+
+    if ( settings.pen ) {
+
+        for ( const name in penSettings ) {
+
+            if ( settings.pen[ name ] !== undefined ) penSettings[ name ] = settings.pen[ name ];
+
+        }
+
+        applyPenSettings();
+
+    }
+
+    for ( const group in projectSettings ) {
+
+        const [ process, names ] = projectSettings[ group ];
+        const values = settings[ group ] || {};
+
+        names.forEach( ( name ) => { if ( values[ name ] !== undefined ) process[ name ] = values[ name ] } );
+
+    }
+
+    updateSearchSettingsFolder();
+    updateControllers( gui );
+
+}
+
+function updateControllers( folder ) {
+
+    folder.__controllers.forEach( ( controller ) => controller.updateDisplay() );
+
+    for ( const name in folder.__folders ) updateControllers( folder.__folders[ name ] );
+
+}
+
+async function saveProject() {
+
+    if ( loadingProcess.running || loadingProcess.parts.length === 0 ) {
+
+        diagnostics.warn( "Project", "There is no source to save. Wait until the source is loaded." );
+        return;
+
+    }
+
+    try {
+
+        const project = await createProject( getProjectSettings(), {
+            name: loadingProcess.sourceName,
+            type: loadingProcess.sourceType,
+            objects: loadingProcess.parts
+        } );
+
+        const fileName = loadingProcess.sourceName.replace( /\.[^.]*$/, "" ).replace( /[^\w\- ]+/g, "_" ) + ".pencraft.json";
+
+        const link = document.createElement( "a" );
+        link.href = URL.createObjectURL( new Blob( [ JSON.stringify( project ) ], { type: "application/json" } ) );
+        link.download = fileName;
+        link.click();
+
+        setTimeout( () => URL.revokeObjectURL( link.href ), 0 );
+
+        diagnostics.info( "Project", "Saved the project as " + fileName + "." );
+
+    }
+
+    catch( err ) {
+
+        diagnostics.error( "Project", "The project could not be saved. " + err.message, err );
+
+    }
+
+}
+
+function openProject() {
+
+    const input = document.createElement( "input" );
+    input.type = "file";
+    input.accept = ".json,application/json";
+
+    input.addEventListener( "change", function() {
+
+        if ( input.files.length > 0 ) openProjectFile( input.files[ 0 ] );
+
+    } );
+
+    input.click();
+
+}
+
+async function openProjectFile( file ) {
+
+    try {
+
+        const { settings, source } = parseProject( await file.text() );
+
+        applyProjectSettings( settings );
+
+        // The pipeline runs again from the source, with the settings of the project
+        transformControls.detach();
+        queueProcess( loadingProcess, { projectSource: source, clearScene: true } );
+
+    }
+
+    catch( err ) {
+
+        diagnostics.error( "Project", "The project could not be opened. " + err.message, err );
+
+    }
+
+}
+
 function onFullScreenSimulation() {
 
     if ( fullScreenMode ) {
@@ -547,6 +1200,37 @@ function animate() {
 
 }
 
+// Drag & drop
+function onDragOver( event ) {
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+
+}
+
+function onDrop( event ) {
+
+    event.preventDefault();
+
+    const files = [ ...event.dataTransfer.files ];
+
+    if ( files.length === 0 ) return;
+
+    // A single .json file is a project
+    if ( files.length === 1 && /\.json$/i.test( files[ 0 ].name ) ) {
+
+        openProjectFile( files[ 0 ] );
+        return;
+
+    }
+
+    queueProcess( loadingProcess, {
+        sourceFiles: files,
+        loadDefaultSource: false
+    } );
+
+}
+
 // Mouse interaction
 function toCanvasCoordsNormalized(x, y) {
     
@@ -593,6 +1277,11 @@ function checkMouseSelect() {
 
             if ( _ray.intersectBox( boundingBox, new THREE.Vector3() ) ) {
 
+                // Objects of the source scene are selected individually, to arrange them
+                if ( process === loadingProcess && selectPart() ) return;
+
+                if ( process === preProcessorProcess && pickSearchPoint() ) return;
+
                 // Check if there is an existing selection (transform control is attached)
                 if ( Boolean(transformControls.object ) ) {
                     
@@ -626,4 +1315,50 @@ function checkMouseSelect() {
         if ( Boolean( transformControls.object )) transformControls.detach();
         
     }  
+}
+
+function pickSearchPoint() {
+
+    // Sets the point setting of the search algorithm (pick: true in its schema) to the clicked point
+    // of the pre-processing result. Returns false if the algorithm has no such setting, or nothing was hit.
+    const algorithm = searchAlgorithms.get( searchProcess.searchAlgorithm );
+    const key = algorithm && Object.keys( algorithm.settings ).find( ( key ) => algorithm.settings[ key ].pick );
+    if ( !key ) return false;
+
+    const intersection = rayCaster.intersectObjects( preProcessorProcess.root.children, true )[ 0 ];
+    if ( !intersection ) return false;
+
+    // In the units of the pipeline (meters), shown in millimeters
+    const point = intersection.object.worldToLocal( intersection.point.clone() );
+
+    searchProcess.searchSettings[ key ] = point.toArray().map( ( value ) => ( value * 1000 ).toFixed( 1 ) ).join( ", " );
+    searchSettingControllers.forEach( ( controller ) => controller.updateDisplay() );
+
+    onSearchChange();
+
+    return true;
+
+}
+
+function selectPart() {
+
+    // Selects the part of the source scene under the mouse. Returns false if no part was hit.
+    const intersection = rayCaster.intersectObjects( loadingProcess.parts, true )[ 0 ];
+    if ( !intersection ) return false;
+
+    let part = intersection.object;
+    while ( part.parent !== loadingProcess.root ) part = part.parent;
+
+    if ( transformControls.object === part ) {
+
+        transformControls.detach();
+
+    } else {
+
+        transformControls.attach( part );
+
+    }
+
+    return true;
+
 }
\ No newline at end of file
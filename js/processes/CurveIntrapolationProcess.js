@@ -1,6 +1,29 @@
-import { CatmullRomCurve3, LineBasicMaterial, BufferGeometry, LineSegments, Color } from 'three';
+import { CatmullRomCurve3, LineBasicMaterial, BufferGeometry, LineSegments, Color, Vector3 } from 'three';
 import { Process } from './Process.js';
+import { estimateBuild } from '../PenProfiles.js';
+import { packGeometry, unpackGeometry, packPaths, unpackPaths } from '../BufferPacking.js';
 
+// Passes of smoothing at bends tighter than the minimum bend radius of the pen
+const bendSmoothingPasses = 10;
+
+const ab = new Vector3();
+const ac = new Vector3();
+const cross = new Vector3();
+
+// Radius of the circle through three points, Infinity when they are on a line
+function getCircumradius( a, b, c ) {
+
+    ab.subVectors( b, a );
+    ac.subVectors( c, a );
+    cross.crossVectors( ab, ac );
+
+    // Circumradius = |ab| |bc| |ca| / ( 2 |ab x ac| )
+    const doubleArea = cross.length();
+    if ( doubleArea === 0 ) return Infinity;
+
+    return ab.length() * b.distanceTo( c ) * ac.length() / ( 2 * doubleArea );
+
+}
 
 class CurveIntrapolationProcess extends Process {
     
@@ -14,17 +37,96 @@ class CurveIntrapolationProcess extends Process {
             color: this.color.clone().lerp( new Color("#000000"), .6) 
         } );
 
+        this.resultSettings = [ "penProfile" ];
+
+    }
+
+    get buildEstimate() {
+
+        // Summary of the estimated build, shown in the GUI
+        return this.result.buildEstimate || "";
+
+    }
+    set buildEstimate( value ) {
+
+        // The estimate follows the result, edits in the GUI are ignored
+
     }
 
     startProcess( params ) {
 
-        const scope = this;
+        super.startProcess( params );
+
+        if ( this.useCachedResult() ) return;
+
+        if ( this.worker ) {
+
+            this.runInWorker( params );
+            return;
+
+        }
 
-        super.startProcess();
+        this.runSteps( this.intrapolate( params ) );
+
+    }
+
+    workerRequest( params ) {
+
+        // The paths are kept by the search in the worker
+        if ( params.workerResultId === undefined ) throw new Error( "Paths are missing in the worker." );
+
+        return { message: { resultId: params.workerResultId }, transfer: [] };
+
+    }
+
+    workerParams( message, results ) {
+
+        const params = results.get( message.resultId );
+        if ( !params ) throw new Error( "Paths are no longer available in the worker." );
+
+        return params;
+
+    }
+
+    workerResponse() {
+
+        // The curves are passed by their control points, and the visuals by their geometry
+        const curves = packPaths( this.result.curves.map( ( curve ) => curve.points ) );
+        const geometry = packGeometry( this.root.children[ 0 ].geometry );
+
+        const { pointInterval, pointCount, pathLength, buildTime, stickCount, tightBendCount, buildEstimate } = this.result;
+
+        const message = {
+            curves: curves.packed,
+            geometry: geometry.packed,
+            values: { pointInterval, pointCount, pathLength, buildTime, stickCount, tightBendCount, buildEstimate }
+        };
+
+        return { message, transfer: [ ...curves.transfer, ...geometry.transfer ] };
+
+    }
+
+    receiveWorkerResult( message ) {
+
+        Object.assign( this.result, message.values );
+        this.result.curves = unpackPaths( message.curves ).map( ( points ) => new CatmullRomCurve3( points ) );
+
+        this.root.add( new LineSegments( unpackGeometry( message.geometry ), this.material ) );
+
+    }
+
+    *intrapolate( params ) {
+
+        const scope = this;
 
         try {
 
-            const paths = params.paths;
+            // Copy the paths, since excess points are removed from them
+            const paths = params.paths.map( ( path ) => [ ...path ] );
+
+            // Pen profile lengths are in mm
+            const diameter = this.penProfile.diameter / 1000;
+            const minBendRadius = this.penProfile.minBendRadius / 1000;
 
             // Compute point interval for extraction
             let totalLength = 0;
@@ -46,7 +148,8 @@ class CurveIntrapolationProcess extends Process {
             
             }
 
-            let pointInterval = Math.min( 0.0012, Math.max( 0.001, params.shortestEdge/2 ) );
+            // Points are spaced about a filament diameter apart
+            let pointInterval = Math.min( diameter, Math.max( diameter * 5 / 6, params.shortestEdge/2 ) );
 
             const pointCount = params.pointCount;
             
@@ -69,6 +172,13 @@ class CurveIntrapolationProcess extends Process {
 
                 for ( let i = paths.length-1; i >= 0; i-- ) {
 
+                    if ( i % 100 === 0 ) {
+
+                        this.setProgress( .2 * ( 1 - i / paths.length ), "Removing excess points" );
+                        yield;
+
+                    }
+
                     const path = paths[ i ]; 
 
                     const pathLength = path.length;
@@ -114,6 +224,13 @@ class CurveIntrapolationProcess extends Process {
 
             for ( let i = 0, l = pathsLength; i < l; i++ ) {
 
+                if ( i % 100 === 0 ) {
+
+                    this.setProgress( .2 + .5 * i / l, "Sorting the paths" );
+                    yield;
+
+                }
+
                 const path = paths[ i ]; 
                 const endPoint = path[ path.length - 1 ];
 
@@ -147,18 +264,40 @@ class CurveIntrapolationProcess extends Process {
             }
             
             console.log( "Sorted paths according to proximity in space" );
-            
+
             const curves = this.result.curves = [];
             
             // create curve for each path
             let countPoints = 0;
+            let pointsSmoothed = 0;
+
             for ( let i = 0, l = paths.length; i < l; i++ ) {
 
-                const path = paths[ i ];  // Input path
+                if ( i % 100 === 0 ) {
+
+                    this.setProgress( .7 + .2 * i / l, "Creating the curves" );
+                    yield;
+
+                }
+
+                let path = paths[ i ];  // Input path
 
-                const curve = new CatmullRomCurve3( path );
+                let curve = new CatmullRomCurve3( path );
 
                 if ( curve.getLength() > pointInterval ) {
+
+                    // Bends the pen cannot draw are rounded off on points spaced along the curve,
+                    // and the curve is then fitted through these points
+                    const spacedPoints = curve.getSpacedPoints( Math.ceil( curve.getLength() / pointInterval ) );
+                    const moved = this.smoothTightBends( spacedPoints, minBendRadius, diameter / 2 );
+
+                    if ( moved > 0 ) {
+
+                        pointsSmoothed += moved;
+                        path = spacedPoints;
+                        curve = new CatmullRomCurve3( path );
+
+                    }
                     
                     countPoints += path.length;
                     curves.push( curve );
@@ -169,12 +308,44 @@ class CurveIntrapolationProcess extends Process {
             
             this.result.pointInterval = pointInterval;
             this.result.pointCount = countPoints;
+            this.result.smoothedPointCount = pointsSmoothed;
         
             console.log( "Number of curve points:", countPoints);
+            console.log( "Points moved to widen bends tighter than the minimum bend radius:", pointsSmoothed );
+
+            // Estimate the build from the length of the curves
+            let pathLength = 0;
+            let tightBends = 0;
+
+            for ( const curve of curves ) {
+
+                pathLength += curve.getLength();
+                tightBends += this.countTightBends( curve, pointInterval, minBendRadius );
+
+            }
+
+            const estimate = estimateBuild( pathLength, this.penProfile );
+
+            this.result.pathLength = pathLength;
+            this.result.buildTime = estimate.seconds;
+            this.result.stickCount = estimate.sticks;
+            this.result.tightBendCount = tightBends;
+
+            const hours = Math.floor( estimate.seconds / 3600 );
+            const minutes = Math.round( ( estimate.seconds % 3600 ) / 60 );
+
+            this.result.buildEstimate = hours + " h " + minutes + " min, " + estimate.sticks + " stick" + ( ( estimate.sticks === 1 ) ? "" : "s" );
+
+            console.log( "Total length of the curves (m):", pathLength );
+            console.log( "Estimated build time and filament:", this.result.buildEstimate );
+            console.log( "Bends still tighter than the minimum bend radius of the pen:", tightBends );
 
             // Combine points from the separate curves for efficient curve visualization
             console.log( "Generating visual representation." )
 
+            this.setProgress( .9, "Generating the visual representation" );
+            yield;
+
             let points = [];
             const indices = [];
             let accumPoints = 0
@@ -215,6 +386,64 @@ class CurveIntrapolationProcess extends Process {
 
     }
 
+    smoothTightBends( path, minBendRadius, maxShift ) {
+
+        // Moves the points where the radius of the circle through the neighboring points is smaller
+        // than minBendRadius halfway to the midpoint of their neighbors, which spreads the bend over
+        // more points. Points move at most maxShift away from where they were, such that the curve
+        // stays on the surface, and the end points stay in place. Returns the number of point moves.
+        const origins = path.map( ( point ) => point.clone() );
+        const midpoint = new Vector3();
+        const shift = new Vector3();
+        let count = 0;
+
+        for ( let pass = 0; pass < bendSmoothingPasses; pass++ ) {
+
+            let moved = 0;
+
+            for ( let i = 1, l = path.length - 1; i < l; i++ ) {
+
+                const a = path[ i - 1 ], b = path[ i ], c = path[ i + 1 ];
+
+                if ( getCircumradius( a, b, c ) >= minBendRadius ) continue;
+
+                midpoint.addVectors( a, c ).multiplyScalar( .5 );
+                shift.subVectors( b.lerp( midpoint, .5 ), origins[ i ] );
+
+                if ( shift.length() > maxShift ) b.copy( origins[ i ] ).add( shift.setLength( maxShift ) );
+
+                moved++;
+
+            }
+
+            count += moved;
+
+            if ( moved === 0 ) break;
+
+        }
+
+        return count;
+
+    }
+
+    countTightBends( curve, interval, minBendRadius ) {
+
+        // Counts the samples along the curve where the radius of the circle
+        // through the neighboring samples is smaller than minBendRadius
+        const points = curve.getSpacedPoints( Math.max( 2, Math.ceil( curve.getLength() / interval ) ) );
+
+        let count = 0;
+
+        for ( let i = 1, l = points.length - 1; i < l; i++ ) {
+
+            if ( getCircumradius( points[ i - 1 ], points[ i ], points[ i + 1 ] ) < minBendRadius ) count++;
+
+        }
+
+        return count;
+
+    }
+
 }
 
 export { CurveIntrapolationProcess };
\ No newline at end of file
@@ -1,144 +1,1138 @@
-import { TorusKnotBufferGeometry, MeshPhongMaterial, FrontSide, Mesh, Box3, Vector3 } from 'three';
+import { TorusKnotBufferGeometry, MeshPhongMaterial, FrontSide, DoubleSide, Mesh, Box3, Vector3, LoadingManager, LoaderUtils, 
+    AnimationMixer, BufferGeometry, Float32BufferAttribute, ExtrudeGeometry, Group, Matrix4 } from 'three';
 import { GLTFLoader } from 'three/loaders/GLTFLoader';
+import { DRACOLoader } from 'three/loaders/DRACOLoader';
 import { OBJLoader } from 'three/loaders/OBJLoader';
 import { FBXLoader } from 'three/loaders/FBXLoader';
+import { STLLoader } from 'three/loaders/STLLoader';
+import { PLYLoader } from 'three/loaders/PLYLoader';
+import { ThreeMFLoader } from 'three/loaders/3MFLoader';
+import { SVGLoader } from 'three/loaders/SVGLoader';
+import { XYZLoader } from 'three/loaders/XYZLoader';
+import { TextGeometry } from 'three/geometries/TextGeometry';
+import { unzipSync } from 'three/libs/fflate.module';
+import { MeshoptDecoder } from '../../static/meshopt/meshopt_decoder.module.js';
 import { Process } from './Process.js';
+import { primitives } from '../PrimitiveGeometries.js';
+import { reconstructSurface } from '../SurfaceReconstruction.js';
+
+// Supported source formats, in order of preference when several files are provided
+const sourceExtensions = [ 'gltf', 'glb', 'fbx', 'obj', 'stl', 'ply', '3mf', 'xyz', 'zip' ];
+
+// Conversion of length units to meters
+const unitsInMeters = { "µm": 1e-6, "mm": .001, "cm": .01, "m": 1, "in": .0254, "ft": .3048, "px": .0254 / 96 };
+
+// Units declared by, or customary for, each file format (3MF files are inspected for their unit)
+const formatUnits = { gltf: "m", glb: "m", fbx: "cm", obj: "mm", stl: "mm", ply: "mm", "3mf": "mm", xyz: "mm", svg: "px" };
+const threeMFUnits = { micron: "µm", millimeter: "mm", centimeter: "cm", meter: "m", inch: "in", foot: "ft" };
+
+// Images are converted to relief panels (heightmaps)
+const imageExtensions = [ 'png', 'jpg', 'jpeg' ];
+
+// Decoders for compressed glTF files are served locally, so that loading works offline
+const dracoDecoderPath = '/static/draco/';
+const compressionExtensions = [ 'KHR_draco_mesh_compression', 'EXT_meshopt_compression' ];
+
+// Path of a file inside the unpacked archive or the selected folder, or its name
+function getFilePath( file ) {
+
+    return file.relativePath || file.webkitRelativePath || file.name;
+
+}
+
+// Normalize "." and ".." segments of a relative path
+function resolvePath( path ) {
+
+    const segments = [];
+
+    for ( const segment of path.split( '/' ) ) {
+
+        if ( segment === '..' ) segments.pop();
+        else if ( segment !== '.' && segment !== '' ) segments.push( segment );
+
+    }
+
+    return segments.join( '/' );
+
+}
 
 class LoadingProcess extends Process {
 
-    constructor( onCompleted = null, onError = null ) {
-        
-        super( "Loading", onCompleted, onError );
+    constructor( onCompleted = null, onError = null ) {
+        
+        super( "Loading", onCompleted, onError );
+
+        // Default source definition (consists of a primitive that do not need to be imported)
+        this.defaultGeometry = new TorusKnotBufferGeometry( this.rootSize/4, this.rootSize/10, 200, 20, 2, 3 );
+
+        this.material = new MeshPhongMaterial( { color: this.color, side: FrontSide } );
+
+        this.sourceName = "None";
+
+        // Type of the source object: "Default", "Primitive", "File", "Point cloud", "Relief", "SVG" or "Text"
+        this.sourceType = "None";
+
+        // Size of the sculpture: the selected dimension of the source's bounding box is scaled to
+        // targetSize. With keepNativeUnits the source keeps its size in the file's units instead.
+        this.targetSize = 25;
+        this.targetDimension = "Diagonal";
+        this.targetUnit = "cm";
+        this.keepNativeUnits = false;
+
+        // Unit of the source file. "Auto" uses the unit detected from the file.
+        this.sourceUnit = "Auto";
+        this.detectedUnit = "None";
+        this.sizeDescription = "";
+
+        // Scene composition: each loaded object is a part (a group in meters) of the source object.
+        // With composeScene, loaded objects are added to the parts instead of replacing them.
+        this.parts = [];
+        this.composeScene = false;
+
+        // Transform of a part that is reloaded, such that its arrangement is kept
+        this.replacedTransform = null;
+
+        // A failed load restores the source that was loaded before, instead of discarding it
+        this.restoreOnError = true;
+
+        // Surface reconstruction of point clouds: grid cells along the longest side, and
+        // the number of neighbors used to estimate the normals
+        this.reconstructionResolution = 40;
+        this.reconstructionNeighbors = 12;
+
+        // Text source. The font is provided by the caller (the headings font).
+        this.text = "3D Pen Craft";
+        this.font = null;
+
+        // Extrusion of SVG and text outlines. Sizes are fractions of the outline height.
+        this.extrudeDepth = .2;
+        this.bevelEnabled = true;
+        this.bevelThickness = .03;
+        this.bevelSize = .02;
+
+        // Settings of relief panels built from heightmap images. Depth and thickness are fractions of the panel width.
+        this.reliefDepth = .05;
+        this.reliefResolution = 96;
+        this.reliefBaseThickness = .02;
+        this.reliefInvert = false;
+
+        // Selected primitive, and the parameters of each primitive in the gallery
+        this.primitive = "Torus knot (p,q)";
+        this.primitiveParameters = {};
+
+        for ( const name in primitives ) {
+
+            this.primitiveParameters[ name ] = { ...primitives[ name ].parameters };
+
+        }
+
+        this.dracoLoader = new DRACOLoader();
+        this.dracoLoader.setDecoderPath( dracoDecoderPath );
+
+        // Parameters of the last load, used to reload the source when settings change
+        this.lastParams = { loadDefaultSource: true };
+
+        // Animation clips and morph target names found in the source
+        this.animationClips = [];
+        this.morphTargets = [];
+
+        // Pose that is baked into the source: either a clip at a time, or a set of morph weights
+        this.poseClip = "None";
+        this.poseTime = 0;
+        this.morphWeights = {};
+
+    }
+
+    handleError( err ) {
+
+        // Late errors of a cancelled or superseded load are ignored
+        if ( !this.running ) return;
+
+        if ( !this.canRestoreState() ) this.sourceName = "None";
+
+        super.handleError( err );
+
+    }
+
+    stashState() {
+
+        // The parts are set aside by startProcess, together with the result and name of the source
+        this.previousState = {
+            parts: [ ...this.parts ],
+            result: this.result,
+            sourceName: this.sourceName,
+            sourceType: this.sourceType,
+            scale: this.scale,
+            params: this.completedParams
+        };
+
+    }
+
+    canRestoreState() {
+
+        // The source does not depend on other processes, so any loaded source can be restored
+        return Boolean( this.previousState ) && this.previousState.parts.length > 0;
+
+    }
+
+    restoreState() {
+
+        const previous = this.previousState;
+        this.previousState = null;
+
+        if ( !previous ) return;
+
+        previous.parts.forEach( ( part ) => this.root.add( part ) );
+
+        this.parts = previous.parts;
+        this.result = previous.result;
+        this.completedParams = previous.params;
+        this.sourceName = previous.sourceName;
+        this.sourceType = previous.sourceType;
+        this.scale = previous.scale;
+
+        console.log( "Restored the previous source:", this.sourceName );
+
+    }
+
+    discardPreviousState() {
+
+        // Disposes the parts that were replaced by a successful load
+        const previous = this.previousState;
+        this.previousState = null;
+
+        if ( !previous ) return;
+
+        previous.parts.filter( ( part ) => !this.parts.includes( part ) ).forEach( ( part ) => {
+
+            part.traverse( ( child ) => {
+
+                if ( child.geometry ) child.geometry.dispose();
+
+            } );
+
+        } );
+
+    }
+
+    reset() {
+
+        super.reset();
+
+        this.parts = this.parts.filter( ( part ) => part.parent === this.root );
+
+    }
+
+    startProcess( params ) {
+
+        const scope = this;
+
+        // Parts that are kept: all when adding to the scene, none when replacing it.
+        // A reloaded part is replaced, but keeps its transform. A project replaces all parts.
+        const isProject = Boolean( params.projectSource );
+
+        let keptParts = ( this.composeScene && params.clearScene !== true && !isProject ) ? [ ...this.parts ] : [];
+        this.replacedTransform = null;
+
+        if ( params.reload === true && this.parts.length > 0 && !isProject ) {
+
+            const part = this.parts[ this.parts.length - 1 ];
+
+            this.replacedTransform = {
+                matrix: part.matrix.clone(),
+                physicalScale: part.userData.physicalScale,
+                includeInSearch: part.userData.includeInSearch
+            };
+
+            keptParts = keptParts.filter( ( keptPart ) => keptPart !== part );
+
+        }
+
+        // All parts are set aside while loading, such that they can be restored if loading fails or is cancelled
+        this.parts.forEach( ( part ) => this.root.remove( part ) );
+
+        super.startProcess( params );
+
+        keptParts.forEach( ( part ) => this.root.add( part ) );
+        this.parts = keptParts;
+
+        try {
+
+            this.root.rotation.set( 0, 0, 0 );
+
+            // Keep the pose settings when the same source is reloaded, otherwise start afresh
+            if ( params.reload !== true ) {
+
+                this.poseClip = "None";
+                this.poseTime = 0;
+                this.morphWeights = {};
+
+            }
+
+            this.lastParams = { ...params, reload: false };
+            this.detectedUnit = "None";
+            this.animationClips = [];
+            this.morphTargets = [];
+
+            if ( params.loadDefaultSource === true ) {
+
+                console.log( "Loading default object: Torus Knot" );
+                
+                this.sourceName = "Torus knot (default object)"
+                this.sourceType = "Default";
+
+                this.loadObject( new Mesh( this.defaultGeometry.clone(), this.material.clone() ) );
+
+                return;
+
+            }
+
+            if ( params.loadPrimitive === true ) {
+
+                const primitive = primitives[ this.primitive ];
+                if ( !primitive ) throw new Error( "Primitive not recognized: " + this.primitive );
+
+                console.log( "Building primitive:", this.primitive );
+
+                this.sourceName = "Primitive: " + this.primitive;
+                this.sourceType = "Primitive";
+
+                // Open surfaces like the Möbius strip need both sides to be visible
+                const material = this.material.clone();
+                material.side = DoubleSide;
+
+                this.loadObject( new Mesh( primitive.build( this.primitiveParameters[ this.primitive ] ), material ) );
+
+                return;
+
+            }
+
+            if ( params.loadText === true ) {
+
+                if ( !this.font ) throw new Error( "The font for text sources has not been loaded." );
+                if ( !this.text.trim() ) throw new Error( "No text was provided." );
+
+                console.log( "Building text:", this.text );
+
+                this.sourceName = "Text: " + this.text;
+                this.sourceType = "Text";
+
+                // Letters are 1 unit high, so that the extrusion settings apply directly
+                const geometry = new TextGeometry( this.text, {
+                    font: this.font,
+                    size: 1,
+                    height: this.extrudeDepth,
+                    curveSegments: 8,
+                    bevelEnabled: this.bevelEnabled,
+                    bevelThickness: this.bevelThickness,
+                    bevelSize: this.bevelSize,
+                    bevelSegments: 4
+                } );
+
+                this.loadObject( new Mesh( geometry, this.material.clone() ) );
+
+                return;
+
+            }
+
+            if ( isProject ) {
+
+                console.log( "Opening project source:", params.projectSource.name );
+
+                this.sourceName = params.projectSource.name;
+                this.sourceType = params.projectSource.type;
+                this.detectedUnit = "m";
+
+                this.loadProjectSource( params.projectSource.contents, params.reload === true );
+
+                return;
+
+            }
+
+            // Companion files (e.g. the .bin and textures of a .gltf) are passed in sourceFiles
+            const sourceFiles = ( params.sourceFiles ) ? [ ...params.sourceFiles ] : [];
+
+            const sourceFile = params.sourceFile || this.selectSourceFile( sourceFiles );
+            if ( !sourceFile ) throw new Error( "Source file not identified." )
+
+            this.sourceName = sourceFile.name;
+            this.sourceType = "File";
+
+            this.loadFile( sourceFile, sourceFiles );
+
+        }
+
+        catch( err ) {
+
+            scope.handleError( err )
+
+        }
+
+    }
+
+    loadFile( sourceFile, sourceFiles = [] ) {
+
+        const scope = this;
+
+        const extension = sourceFile.name.split('.').pop().toLowerCase();
+
+        console.log( "Loading file:", sourceFile.name );
+
+        this.detectedUnit = formatUnits[ extension ] || "None";
+
+        this.setProgress( 0, "Reading " + sourceFile.name );
+
+        function read( asText, onLoad ) {
+
+            scope.readFile( sourceFile, asText ).then( onLoad, ( err ) => scope.handleError( err ) );
+
+        }
+
+        switch (extension) {
+
+            case 'gltf':
+            case 'glb':
+
+                read( false, ( contents ) => scope.loadGLTF( contents, sourceFiles, sourceFile ) );
+
+                break;
+
+            case 'obj':
+
+                read( true, ( contents ) => scope.loadOther( contents, new OBJLoader() ) );
+
+                break;
+
+            case "fbx":
+
+                read( false, ( contents ) => scope.loadOther( contents, new FBXLoader() ) );
+
+                break;
+
+            case "stl":
+
+                // STLLoader detects binary and ASCII files itself
+                read( false, ( contents ) => scope.loadGeometry( contents, new STLLoader() ) );
+
+                break;
+
+            case "ply":
+
+                // PLY files without faces are point clouds
+                read( false, ( contents ) => scope.loadGeometry( contents, new PLYLoader(), true ) );
+
+                break;
+
+            case "xyz":
+
+                read( true, ( contents ) => scope.loadGeometry( contents, new XYZLoader(), true ) );
+
+                break;
+
+            case "3mf":
+
+                this.requireBrowser( "3MF files", typeof DOMParser !== 'undefined' );
+
+                read( false, function ( contents ) {
+
+                    scope.detectedUnit = scope.get3MFUnit( contents );
+
+                    scope.loadOther( contents, new ThreeMFLoader() );
+
+                } );
+
+                break;
+
+            case "zip":
+
+                read( false, ( contents ) => scope.loadZip( contents ) );
+
+                break;
+
+            case "svg":
+
+                this.requireBrowser( "SVG files", typeof DOMParser !== 'undefined' );
+
+                this.sourceType = "SVG";
+
+                read( true, ( contents ) => scope.loadSVG( contents ) );
+
+                break;
+
+            case "png":
+            case "jpg":
+            case "jpeg":
+
+                this.requireBrowser( "Heightmap images", typeof createImageBitmap !== 'undefined' );
+
+                this.sourceType = "Relief";
+
+                this.loadHeightmap( sourceFile );
+
+                break;
+
+            default:
+
+                throw new Error("The source file format is not recognized or not a supported (.obj, .gltf, .glb, .fbx, .stl, .ply or .3mf) format, an .xyz point cloud, a .zip archive containing one, a (.png or .jpg) heightmap image or an .svg file.");
+        }
+
+    }
+
+    readFile( file, asText = false ) {
+
+        // Returns a promise of the contents. FileReader reports the progress in the browser,
+        // elsewhere (e.g. Node) the Blob methods of the file are used.
+        const scope = this;
+
+        if ( typeof FileReader === 'undefined' ) {
+
+            const contents = ( asText ) ? file.text() : file.arrayBuffer();
+            return contents.catch( () => { throw new Error( "File could not be read." ) } );
+
+        }
+
+        return new Promise( function( resolve, reject ) {
+
+            const reader = new FileReader();
+            reader.addEventListener( "error", function() {
+
+                reject( new Error( "File could not be read." ) );
+
+            });
+            reader.addEventListener( "progress", function( event ) {
+
+                if ( event.lengthComputable ) scope.setProgress( .5 * event.loaded / event.total );
+
+            });
+            reader.addEventListener( "load", function( event ) {
+
+                resolve( event.target.result );
+
+            });
+
+            if ( asText ) {
+
+                reader.readAsText( file );
+
+            } else {
+
+                reader.readAsArrayBuffer( file );
+
+            }
+
+        } );
+
+    }
+
+    requireBrowser( description, available ) {
+
+        // Some formats are parsed with browser APIs, which are not available in Node
+        if ( !available ) throw new Error( description + " can only be loaded in a browser." );
+
+    }
+
+    selectSourceFile( files ) {
+
+        // Pick the model file from a set of files, ignoring buffers, textures etc.
+        for ( const extension of sourceExtensions ) {
+
+            const file = files.find( ( file ) => file.name.split('.').pop().toLowerCase() === extension );
+
+            if ( file ) return file;
+
+        }
+
+        return files[ 0 ] || null;
+
+    }
+
+    loadZip( contents ) {
+
+        try {
+
+            // Unpack the archive in memory and continue with the primary model found inside
+            const entries = unzipSync( new Uint8Array( contents ) );
+            const files = [];
+
+            for ( const path in entries ) {
+
+                if ( path.endsWith( '/' ) || path.startsWith( '__MACOSX/' ) ) continue;
+
+                // Keep the path inside the archive, files with the same name can be in different folders
+                const file = new File( [ entries[ path ] ], path.split( '/' ).pop() );
+                file.relativePath = path;
+
+                files.push( file );
+
+            }
+
+            const sourceFile = this.selectSourceFile( files.filter( ( file ) => !/\.zip$/i.test( file.name ) ) );
+
+            if ( !sourceFile || sourceExtensions.indexOf( sourceFile.name.split('.').pop().toLowerCase() ) === -1 ) {
+
+                throw new Error( "The archive does not contain a supported source file." );
+
+            }
+
+            this.sourceName += " / " + sourceFile.name;
+
+            this.loadFile( sourceFile, files );
+
+        }
+
+        catch( err ) {
+
+            this.handleError( err );
+
+        }
+
+    }
+
+    loadGLTF( contents, sourceFiles = [], sourceFile = null ) {
+
+        const scope = this;
+
+        // Resolve external URIs (buffers, textures) against the files provided with the .gltf, by their
+        // path relative to the .gltf first and by their name only when no path matches
+        const fileMap = new Map();
+        const nameMap = new Map();
+
+        for ( const file of sourceFiles ) {
+
+            fileMap.set( getFilePath( file ), file );
+            if ( !nameMap.has( file.name ) ) nameMap.set( file.name, file );
+
+        }
+
+        const sourcePath = ( sourceFile ) ? getFilePath( sourceFile ) : "";
+        const directory = sourcePath.slice( 0, sourcePath.lastIndexOf( '/' ) + 1 );
+
+        const objectURLs = [];
+        const missingFiles = [];
+
+        const manager = new LoadingManager();
+        manager.setURLModifier( function( url ) {
+
+            if ( /^(data|blob):/.test( url ) ) return url;
+
+            const path = decodeURI( url ).replace( /^(\.?\/)+/, '' );
+            const file = fileMap.get( resolvePath( directory + path ) ) || fileMap.get( resolvePath( path ) ) || nameMap.get( path.split( '/' ).pop() );
+
+            if ( !file ) {
+
+                missingFiles.push( path );
+                return url;
+
+            }
+
+            const objectURL = URL.createObjectURL( file );
+            objectURLs.push( objectURL );
+
+            return objectURL;
+
+        } );
+
+        function revokeObjectURLs() {
+
+            objectURLs.forEach( ( objectURL ) => URL.revokeObjectURL( objectURL ) );
+
+        }
+
+        const loader = new GLTFLoader( manager );
+        loader.setDRACOLoader( this.dracoLoader );
+        loader.setMeshoptDecoder( MeshoptDecoder );
+        
+        loader.parse( contents, '', function( result ) {
+
+            revokeObjectURLs();
+
+            if ( missingFiles.length ) scope.warn( "Resources not provided with the source file: " + missingFiles.join( ", " ) );
+
+            result.scene.animations = result.animations;
+
+            scope.loadObject( result.scene );
+
+        }, function( err ) {
+
+            revokeObjectURLs();
+
+            const compression = scope.getCompressionExtensions( contents );
+
+            if ( missingFiles.length ) {
+
+                err = new Error( "Resources referenced by the glTF file were not provided: " + missingFiles.join( ", " ) + ". Select them together with the .gltf file." );
+
+            } else if ( compression.length ) {
+
+                err = new Error( "The source file uses " + compression.join( " and " ) + ", but its geometry could not be decoded. " + 
+                    "Check that the decoders are available in " + dracoDecoderPath + " and /static/meshopt/. (" + err.message + ")" );
+
+            }
+
+            scope.handleError( err );
+
+        } );
+
+    }
+    
+    loadProjectSource( contents, resize = false ) {
+
+        // The GLB file of a project contains the parts, with their arrangement and userData, in meters.
+        // Opening a project keeps its size. When reloaded, e.g. after the target size changed,
+        // the composition is scaled to the target size.
+        const scope = this;
+
+        new GLTFLoader().parse( contents, '', function( result ) {
+
+            if ( !scope.running ) return;
+
+            try {
+
+                const parts = [ ...result.scene.children ];
+                if ( parts.length === 0 ) throw new Error( "The project does not contain a source object." );
+
+                for ( const part of parts ) {
+
+                    // Show the parts with the material of the source
+                    part.traverse( function( child ) {
+
+                        if ( !child.isMesh ) return;
+
+                        const material = scope.material.clone();
+                        material.side = child.material.side;
+
+                        if ( child.material.vertexColors ) {
+
+                            material.vertexColors = true;
+                            material.color.set( 0xffffff );
+
+                        }
+
+                        child.material.dispose();
+                        child.material = material;
+
+                    } );
+
+                    scope.root.add( part );
+                    scope.parts.push( part );
+
+                }
+
+                if ( resize ) {
+
+                    // The native size of a project is its saved size
+                    const size = scope.getCompositionBox().getSize( new Vector3() );
+                    const factor = ( scope.keepNativeUnits ) ? 1 : scope.getPhysicalScale( size );
+
+                    for ( const part of parts ) {
+
+                        part.position.multiplyScalar( factor );
+                        part.scale.multiplyScalar( factor );
+                        part.userData.physicalScale *= factor;
+
+                    }
+
+                }
+
+                scope.updateComposition();
+
+                scope.handleCompleted();
+
+            }
+
+            catch( err ) {
+
+                scope.handleError( err );
+
+            }
+
+        }, function( err ) {
+
+            scope.handleError( new Error( "The source of the project could not be read. (" + err.message + ")" ) );
+
+        } );
+
+    }
+
+    loadHeightmap( sourceFile ) {
+
+        const scope = this;
+
+        createImageBitmap( sourceFile ).then( function( bitmap ) {
+
+            try {
+
+                // Resample the image such that its longest side has reliefResolution pixels
+                const resolution = Math.max( 2, Math.round( scope.reliefResolution ) );
+                const ratio = resolution / Math.max( bitmap.width, bitmap.height );
+                const width = Math.max( 2, Math.round( bitmap.width * ratio ) );
+                const height = Math.max( 2, Math.round( bitmap.height * ratio ) );
+
+                const canvas = document.createElement( "canvas" );
+                canvas.width = width;
+                canvas.height = height;
+
+                const context = canvas.getContext( "2d" );
+                context.drawImage( bitmap, 0, 0, width, height );
+                bitmap.close();
+
+                const pixels = context.getImageData( 0, 0, width, height ).data;
+
+                console.log( "Building relief from heightmap of", width, "x", height, "pixels" );
+
+                scope.loadObject( new Mesh( scope.buildRelief( pixels, width, height ), scope.material.clone() ) );
 
-        // Default source definition (consists of a primitive that do not need to be imported)
-        this.defaultGeometry = new TorusKnotBufferGeometry( this.rootSize/4, this.rootSize/10, 200, 20, 2, 3 );
+            }
 
-        this.material = new MeshPhongMaterial( { color: this.color, side: FrontSide } );
+            catch( err ) {
 
-        this.sourceName = "None";
+                scope.handleError( err );
 
-    }
+            }
 
-    handleError( err ) {
+        }, function() {
 
-        this.sourceName = "None";
+            scope.handleError( new Error( "The heightmap image could not be decoded." ) );
 
-        super.handleError( err );
+        } );
 
     }
 
-    startProcess( params ) {
+    loadSVG( contents ) {
 
-        const scope = this;
+        try {
 
-        super.startProcess();
+            const paths = new SVGLoader().parse( contents ).paths;
 
-        try {
+            // Use the filled paths, or all paths if nothing is filled (e.g. a line drawing)
+            let filledPaths = paths.filter( ( path ) => path.userData.style.fill !== 'none' );
+            if ( filledPaths.length === 0 ) filledPaths = paths;
 
-            this.root.scale.set( 1, 1, 1 );
-            this.root.rotation.set( 0, 0, 0 );
+            const shapes = filledPaths.flatMap( ( path ) => SVGLoader.createShapes( path ) );
 
-            if ( params.loadDefaultSource === true ) {
+            if ( shapes.length === 0 ) throw new Error( "No shapes were found in the SVG file." );
 
-                console.log( "Loading default object: Torus Knot" );
-                
-                this.root.add( new Mesh( this.defaultGeometry.clone(), this.material.clone() ) );
+            // Extrusion settings are relative to the height of the outlines
+            let minY = Infinity, maxY = -Infinity;
 
-                this.sourceName = "Torus knot (default object)"
+            for ( const shape of shapes ) {
 
-                this.result.sourceObject = this.root;
+                for ( const point of shape.getPoints() ) {
 
-                this.handleCompleted();
+                    minY = Math.min( minY, point.y );
+                    maxY = Math.max( maxY, point.y );
 
-                return;
+                }
 
             }
 
-            const sourceFile = params.sourceFile;
-            if ( !sourceFile ) throw new Error( "Source file not identified." )
+            const height = ( maxY > minY ) ? maxY - minY : 1;
 
-            this.sourceName = sourceFile.name;
-            const extension = sourceFile.name.split('.').pop().toLowerCase();
+            const geometry = new ExtrudeGeometry( shapes, {
+                depth: this.extrudeDepth * height,
+                curveSegments: 12,
+                bevelEnabled: this.bevelEnabled,
+                bevelThickness: this.bevelThickness * height,
+                bevelSize: this.bevelSize * height,
+                bevelSegments: 4
+            } );
 
-            console.log( "Loading file:", this.sourceName );
+            // SVG's y axis points down: turn the geometry upright (a rotation keeps the faces' winding)
+            geometry.rotateX( Math.PI );
 
-            const reader = new FileReader();
-            reader.addEventListener( "error", function() {
+            console.log( "Extruded", shapes.length, "shapes from the SVG file" );
 
-                scope.handleError( new Error("File could not be read.") );
+            this.loadObject( new Mesh( geometry, this.material.clone() ) );
 
-            });
+        }
+
+        catch( err ) {
+
+            this.handleError( err );
+
+        }
+
+    }
+
+    buildRelief( pixels, width, height ) {
+
+        // Builds a closed solid: the displaced top surface, vertical sides and a flat bottom.
+        // pixels holds RGBA values, row 0 is the top of the image.
+        const cellSize = 1 / ( Math.max( width, height ) - 1 );
+        const depth = this.reliefDepth;
+        const base = this.reliefBaseThickness;
+
+        const positions = [];
+        const indices = [];
+
+        // Top surface, with height from the luminance of each pixel (transparent pixels are low)
+        for ( let j = 0; j < height; j++ ) {
+
+            for ( let i = 0; i < width; i++ ) {
+
+                const offset = ( i + j * width ) * 4;
+                let luminance = ( .2126 * pixels[ offset ] + .7152 * pixels[ offset + 1 ] + .0722 * pixels[ offset + 2 ] ) / 255;
+                luminance *= pixels[ offset + 3 ] / 255;
+
+                if ( this.reliefInvert ) luminance = 1 - luminance;
+
+                positions.push( i * cellSize, -j * cellSize, base + depth * luminance );
+
+            }
+
+        }
+
+        for ( let j = 0; j < height - 1; j++ ) {
+
+            for ( let i = 0; i < width - 1; i++ ) {
+
+                const a = i + j * width;
+                const b = a + 1;
+                const c = a + width;
+                const d = c + 1;
+
+                indices.push( a, c, b, b, c, d );
+
+            }
+
+        }
+
+        // Boundary of the top surface, counter-clockwise when viewed from above
+        const boundary = [];
+        for ( let i = 0; i < width - 1; i++ ) boundary.push( i + ( height - 1 ) * width );
+        for ( let j = height - 1; j > 0; j-- ) boundary.push( ( width - 1 ) + j * width );
+        for ( let i = width - 1; i > 0; i-- ) boundary.push( i );
+        for ( let j = 0; j < height - 1; j++ ) boundary.push( j * width );
 
-            switch (extension) {
+        // Bottom copy of the boundary, and a center vertex for the bottom fan
+        const bottomStart = positions.length / 3;
+
+        for ( const index of boundary ) {
+
+            positions.push( positions[ index * 3 ], positions[ index * 3 + 1 ], 0 );
+
+        }
 
-                case 'gltf':
-                case 'glb':
+        const center = positions.length / 3;
+        positions.push( ( width - 1 ) * cellSize / 2, -( height - 1 ) * cellSize / 2, 0 );
 
-                    reader.addEventListener( 'load', function( event ) {
+        for ( let k = 0, l = boundary.length; k < l; k++ ) {
 
-                        scope.loadGLTF( event.target.result );
+            const t0 = boundary[ k ];
+            const t1 = boundary[ ( k + 1 ) % l ];
+            const b0 = bottomStart + k;
+            const b1 = bottomStart + ( k + 1 ) % l;
 
-                    }, false );
+            // Side quad, facing outwards
+            indices.push( b0, b1, t1, b0, t1, t0 );
 
-                    reader.readAsArrayBuffer( sourceFile );
+            // Bottom, facing down
+            indices.push( center, b1, b0 );
 
-                    break;
+        }
 
-                case 'obj':
+        const geometry = new BufferGeometry();
+        geometry.setAttribute( "position", new Float32BufferAttribute( positions, 3 ) );
+        geometry.setIndex( indices );
+        geometry.computeVertexNormals();
 
-                    reader.addEventListener( 'load', function( event ) {
-                            
-                        scope.loadOther( event.target.result, new OBJLoader() );
-                    
-                    }, false );
+        return geometry;
 
-                    reader.readAsText( sourceFile );
+    }
 
-                    break;
+    get3MFUnit( contents ) {
 
-                case "fbx":
+        // The unit is an attribute of the model element in the archive's .model file(s)
+        try {
 
-                    reader.addEventListener( 'load', function ( event ) {
-                            
-                        scope.loadOther( event.target.result, new FBXLoader() );
-                        
-                    }, false );
+            const entries = unzipSync( new Uint8Array( contents ), { filter: ( file ) => /\.model$/i.test( file.name ) } );
 
-                    reader.readAsArrayBuffer( sourceFile );
+            for ( const path in entries ) {
 
-                    break;
+                const match = LoaderUtils.decodeText( entries[ path ] ).match( /<model[^>]*\sunit\s*=\s*"(\w+)"/ );
 
-                default:
+                if ( match && threeMFUnits[ match[ 1 ] ] ) return threeMFUnits[ match[ 1 ] ];
 
-                    throw new Error("The source file format is not recognized or not a supported (.obj, .gltf, .glb or .fbx) format.");
             }
+
         }
 
         catch( err ) {
 
-            scope.handleError( err )
+            this.warn( "The unit of the 3MF file could not be read, millimeters are assumed: " + err.message );
 
         }
 
+        return "mm";
+
     }
 
-    loadGLTF( contents ) {
+    getPhysicalScale( size ) {
 
-        const scope = this;
+        // Returns the meters per unit of the source, given the size of its bounding box
+        const unit = ( this.sourceUnit === "Auto" ) ? this.detectedUnit : this.sourceUnit;
 
-        const loader = new GLTFLoader();
-        
-        loader.parse( contents, '', function( result ) {
+        if ( this.keepNativeUnits ) {
 
-            scope.loadObject( result.scene );
+            if ( unitsInMeters[ unit ] ) {
 
-        }, function( err ) {
+                console.log( "Keeping the native size of the source, in", unit );
+                return unitsInMeters[ unit ];
 
-            scope.handleError( err );
+            }
+
+            this.warn( "The source has no native unit. It is scaled to the target size instead." );
+
+        }
+
+        const dimensions = { Diagonal: size.length(), Width: size.x, Height: size.y, Depth: size.z };
+        const measured = dimensions[ this.targetDimension ];
+
+        if ( !( measured > 0 ) ) {
+
+            throw new Error( "The source object has no " + this.targetDimension.toLowerCase() + " that can be scaled to the target size." );
+
+        }
+
+        return this.targetSize * unitsInMeters[ this.targetUnit ] / measured;
+
+    }
+
+    addPart( object, physicalScale ) {
+
+        // The part's scale converts the object's units to meters
+        const part = new Group();
+        part.name = this.sourceName;
+        part.userData.physicalScale = physicalScale;
+        part.userData.includeInSearch = true;
+        part.add( object );
+
+        const transform = this.replacedTransform;
+
+        if ( transform ) {
+
+            // Keep the arrangement of the replaced part, including scaling by the user
+            transform.matrix.decompose( part.position, part.quaternion, part.scale );
+            part.scale.multiplyScalar( physicalScale / transform.physicalScale );
+            part.userData.includeInSearch = transform.includeInSearch;
+
+        } else {
+
+            part.scale.setScalar( physicalScale );
+
+            // Place an added part next to the parts already in the scene
+            if ( this.parts.length > 0 ) {
+
+                const box = this.getCompositionBox();
+                const size = new Box3().setFromObject( object ).getSize( new Vector3() ).multiplyScalar( physicalScale );
+
+                part.position.set( box.max.x + size.x / 2, box.getCenter( new Vector3() ).y, box.getCenter( new Vector3() ).z );
+
+            }
+
+        }
+
+        this.root.add( part );
+        this.parts.push( part );
+
+        return part;
+
+    }
+
+    removePart( part ) {
+
+        const index = this.parts.indexOf( part );
+        if ( index === -1 ) return;
+
+        this.parts.splice( index, 1 );
+        this.root.remove( part );
+
+        part.traverse( ( child ) => {
+
+            if ( child.geometry ) child.geometry.dispose();
 
         } );
 
     }
+
+    getCompositionBox() {
+
+        // Bounding box of the parts in the (metric) space of the root
+        this.root.updateMatrixWorld( true );
+
+        const box = new Box3();
+        this.parts.forEach( ( part ) => box.expandByObject( part ) );
+
+        return box.applyMatrix4( new Matrix4().copy( this.root.matrixWorld ).invert() );
+
+    }
+
+    updateComposition() {
+
+        // Centers the parts and updates the size and results after parts are loaded, moved or removed
+        if ( this.parts.length === 0 ) throw new Error( "The scene does not contain any objects." );
+
+        let box = this.getCompositionBox();
+        const center = box.getCenter( new Vector3() );
+
+        this.parts.forEach( ( part ) => part.position.sub( center ) );
+        box.translate( center.negate() );
+
+        const size = box.getSize( new Vector3() );
+        if ( size.length() === 0 ) throw new Error( "The objects in the scene have no size." );
+
+        const displaySize = size.clone().divideScalar( unitsInMeters[ this.targetUnit ] );
+        this.sizeDescription = [ displaySize.x, displaySize.y, displaySize.z ].map( ( value ) => value.toFixed( 1 ) ).join( " x " ) + " " + this.targetUnit;
+        console.log( "Size of the sculpture (width x height x depth):", this.sizeDescription );
+
+        // The parts are in meters. The root shows them at the size of the other processes' results.
+        const displayScale = this.rootSize / size.length();
+        this.scale = displayScale;
+        this.root.updateMatrixWorld( true );
+
+        // A new result object, such that results computed from the previous arrangement are recognized
+        this.result = {
+            sourceObject: this.root,
+            physicalScale: 1,
+            displayScale: displayScale
+        };
+
+    }
+
+    getCompressionExtensions( contents ) {
+
+        // Read the JSON part of a .gltf or .glb file and list the compression extensions it uses
+        try {
+
+            let json;
+
+            const view = new DataView( contents );
+
+            if ( LoaderUtils.decodeText( new Uint8Array( contents, 0, 4 ) ) === 'glTF' ) {
+
+                // Binary glTF: the first chunk following the 12 byte header holds the JSON
+                const chunkLength = view.getUint32( 12, true );
+                json = LoaderUtils.decodeText( new Uint8Array( contents, 20, chunkLength ) );
+
+            } else {
+
+                json = LoaderUtils.decodeText( new Uint8Array( contents ) );
+
+            }
+
+            const extensionsUsed = JSON.parse( json ).extensionsUsed || [];
+
+            return compressionExtensions.filter( ( extension ) => extensionsUsed.indexOf( extension ) !== -1 );
+
+        }
+
+        catch( err ) {
+
+            return [];
+
+        }
+
+    }
     
     loadOther( contents, loader ) {
 
@@ -157,11 +1151,196 @@ class LoadingProcess extends Process {
 
     }
 
+    loadGeometry( contents, loader, pointCloud = false ) {
+
+        // For loaders that return a BufferGeometry rather than an Object3D
+        try {
+
+            let geometry = loader.parse( contents );
+            const material = this.material.clone();
+
+            if ( pointCloud && geometry.index === null ) {
+
+                // Points without faces: build a triangle mesh through the points
+                this.sourceType = "Point cloud";
+
+                geometry = reconstructSurface( geometry.getAttribute( "position" ), this.reconstructionResolution, this.reconstructionNeighbors );
+
+                console.log( "Reconstructed surface: Faces count =", geometry.index.count / 3 );
+
+            } else if ( geometry.hasAttribute( "color" ) ) {
+
+                // Show the vertex (or STL face) colors unmodified
+                material.vertexColors = true;
+                material.color.set( 0xffffff );
+
+            }
+
+            this.loadObject( new Mesh( geometry, material ) );
+
+        }
+
+        catch( err ) {
+
+            this.handleError( err );
+
+        }
+
+    }
+
+    listPoseOptions( object ) {
+
+        this.animationClips = object.animations ? [ ...object.animations ] : [];
+
+        const morphTargets = new Set();
+
+        object.traverse( function( child ) {
+
+            if ( child.isMesh && child.morphTargetDictionary ) {
+
+                Object.keys( child.morphTargetDictionary ).forEach( ( name ) => morphTargets.add( name ) );
+
+            }
+
+        } );
+
+        this.morphTargets = [ ...morphTargets ];
+
+        // Retain the weights of targets that still exist
+        const morphWeights = {};
+        this.morphTargets.forEach( ( name ) => { morphWeights[ name ] = this.morphWeights[ name ] || 0 } );
+        this.morphWeights = morphWeights;
+
+        if ( this.animationClips.length || this.morphTargets.length ) {
+
+            console.log( "Animation clips found:", this.animationClips.length, "Morph targets found:", this.morphTargets.length );
+
+        }
+
+    }
+
+    bakePose( object ) {
+
+        // Pose the object with the selected clip, or else with the selected morph weights
+        const clip = this.animationClips.find( ( clip ) => clip.name === this.poseClip );
+
+        if ( clip ) {
+
+            console.log( "Baking pose of clip '" + clip.name + "' at time", this.poseTime );
+
+            const mixer = new AnimationMixer( object );
+            mixer.clipAction( clip ).play();
+            mixer.setTime( Math.min( Math.max( this.poseTime, 0 ), clip.duration ) );
+
+        } else {
+
+            const morphWeights = this.morphWeights;
+
+            object.traverse( function( child ) {
+
+                if ( child.isMesh && child.morphTargetDictionary && child.morphTargetInfluences ) {
+
+                    for ( const name in child.morphTargetDictionary ) {
+
+                        child.morphTargetInfluences[ child.morphTargetDictionary[ name ] ] = morphWeights[ name ] || 0;
+
+                    }
+
+                }
+
+            } );
+
+        }
+
+        object.updateMatrixWorld( true );
+
+        // Replace deformable meshes with static meshes holding the deformed vertex positions
+        const deformedMeshes = [];
+
+        object.traverse( function( child ) {
+
+            if ( child.isMesh && child.geometry && ( child.isSkinnedMesh || child.geometry.morphAttributes.position ) ) {
+
+                deformedMeshes.push( child );
+
+            }
+
+        } );
+
+        for ( const mesh of deformedMeshes ) {
+
+            const geometry = mesh.geometry;
+            const position = geometry.getAttribute( "position" );
+            const morphPositions = geometry.morphAttributes.position;
+            const influences = mesh.morphTargetInfluences;
+
+            const vertex = new Vector3();
+            const base = new Vector3();
+            const target = new Vector3();
+            const baked = new Float32Array( position.count * 3 );
+
+            for ( let i = 0, l = position.count; i < l; i++ ) {
+
+                base.fromBufferAttribute( position, i );
+                vertex.copy( base );
+
+                if ( morphPositions && influences ) {
+
+                    for ( let j = 0, m = morphPositions.length; j < m; j++ ) {
+
+                        const weight = influences[ j ];
+                        if ( !weight ) continue;
+
+                        target.fromBufferAttribute( morphPositions[ j ], i );
+                        if ( !geometry.morphTargetsRelative ) target.sub( base );
+
+                        vertex.addScaledVector( target, weight );
+
+                    }
+
+                }
+
+                // Skinning result is in the local space of the mesh
+                if ( mesh.isSkinnedMesh ) mesh.boneTransform( i, vertex );
+
+                vertex.toArray( baked, i * 3 );
+
+            }
+
+            const bakedGeometry = new BufferGeometry();
+            bakedGeometry.setAttribute( "position", new Float32BufferAttribute( baked, 3 ) );
+            if ( geometry.index ) bakedGeometry.setIndex( geometry.index.clone() );
+            if ( geometry.hasAttribute( "uv" ) ) bakedGeometry.setAttribute( "uv", geometry.getAttribute( "uv" ).clone() );
+            geometry.groups.forEach( ( group ) => bakedGeometry.addGroup( group.start, group.count, group.materialIndex ) );
+
+            const bakedMesh = new Mesh( bakedGeometry, mesh.material );
+            bakedMesh.name = mesh.name;
+            bakedMesh.position.copy( mesh.position );
+            bakedMesh.quaternion.copy( mesh.quaternion );
+            bakedMesh.scale.copy( mesh.scale );
+
+            const parent = mesh.parent;
+            parent.add( bakedMesh );
+            parent.remove( mesh );
+
+        }
+
+    }
+
     loadObject( newMesh ) {
 
+        // The load was cancelled or superseded in the meantime
+        if ( !this.running ) return;
+
+        this.setProgress( .9, "Preparing the source" );
+
         try {
 
-            // Remove scaling. Scale will be applied to root object.
+            // Freeze skinned and morphed meshes in the selected pose
+            this.listPoseOptions( newMesh );
+            this.bakePose( newMesh );
+
+            // Remove scaling. Scale will be applied to the part holding the object.
             newMesh.scale.set( 1, 1, 1 );
 
             // Compute vertex normals if not present already
@@ -193,33 +1372,15 @@ class LoadingProcess extends Process {
             let bbox = new Box3().setFromObject( newMesh );
             const size = bbox.getSize( new Vector3() );
 
-            // Swop the newMesh for the existing one
-            this.reset();
-            this.root.add( newMesh );
-            this.scale = this.rootSize/size.length();
-            this.root.updateMatrixWorld( true );
-
-            // Center the mesh
-            newMesh.traverse(
-
-                function( child ) {
-
-                    if ( child.isMesh && child.geometry ) {
-                        child.geometry.computeBoundingBox();
-                    }
-
-                }
+            // Real-world size of the object
+            const physicalScale = this.getPhysicalScale( size );
 
-            );
+            // Center the mesh in its part
+            newMesh.position.sub( bbox.getCenter( new Vector3() ) );
 
-            bbox = new Box3().setFromObject( newMesh );
-            let center = bbox.getCenter( new Vector3() ); 
-            center = center.sub( this.position );
-            center.divide( this.scale );
-            newMesh.position.sub( center );
-            this.root.updateMatrixWorld( true );
+            this.addPart( newMesh, physicalScale );
 
-            this.result.sourceObject = this.root;
+            this.updateComposition();
 
             this.handleCompleted();
 
@@ -1,7 +1,8 @@
-import { MeshStandardMaterial, FrontSide, Mesh, Matrix4, Vector3 } from 'three';
+import { MeshStandardMaterial, FrontSide, Mesh, Group, Matrix4, Vector3 } from 'three';
 import { mergeBufferGeometries } from 'three/utils/BufferGeometryUtils';
 import { Process } from './Process.js';
 import { GeometryModifier } from '../GeometryModifier.js';
+import { packGeometry, unpackGeometry } from '../BufferPacking.js';
 
 class PreProcessorProcess extends Process {
 
@@ -20,6 +21,8 @@ class PreProcessorProcess extends Process {
         
         this.reductionFactor = 0;
 
+        this.resultSettings = [ "reductionFactor" ];
+
     }
 
     get wireframe() {
@@ -50,52 +53,188 @@ class PreProcessorProcess extends Process {
 
     startProcess( params ) {
 
-        const scope = this;
+        super.startProcess( params );
+
+        if ( this.useCachedResult() ) return;
+
+        if ( this.worker ) {
+
+            this.runInWorker( params );
+            return;
+
+        }
+
+        this.runSteps( this.preprocess( params ) );
+
+    }
+
+    getLocalTransform( obj, sourceObject ) {
+
+        // Returns the transformation matrix of obj relative to the source object,
+        // and whether obj is part of an object that is excluded from the search
+        const matrix = new Matrix4();
+        let excluded = false;
+
+        let ancestor = obj;
+        while ( ancestor.uuid !== sourceObject.uuid ) {
+
+            if ( ancestor.matrix ) {
+
+                matrix.premultiply( ancestor.matrix );
+
+            }
+
+            // Parts of a composed scene can be excluded from the search
+            if ( ancestor.userData.includeInSearch === false ) excluded = true;
+
+            ancestor = ancestor.parent;
+
+        }
+
+        return { matrix, excluded };
+
+    }
+
+    workerRequest( params ) {
+
+        // The meshes are sent with their transformation relative to the source object.
+        // Only the positions and indices are needed, the normals are computed in the worker.
+        const sourceObject = params.sourceObject;
+        if ( !sourceObject ) throw new Error( "Source object is missing." )
+
+        sourceObject.updateMatrixWorld( true );
+
+        const meshes = [];
+        const transfer = [];
+
+        sourceObject.traverse( ( obj ) => {
+
+            if ( !obj.isMesh || !obj.geometry || !obj.geometry.isBufferGeometry ) return;
+
+            const { matrix, excluded } = this.getLocalTransform( obj, sourceObject );
+
+            if ( excluded ) {
+
+                meshes.push( { excluded } );
+                return;
+
+            }
+
+            const { packed, transfer: buffers } = packGeometry( obj.geometry, true, [ "position" ] );
+            meshes.push( { geometry: packed, matrix: matrix.toArray(), excluded } );
+            transfer.push( ...buffers );
+
+        } );
+
+        const message = {
+            meshes,
+            physicalScale: ( params.physicalScale ) ? params.physicalScale : sourceObject.scale.toArray(),
+            displayScale: params.displayScale
+        };
+
+        return { message, transfer };
+
+    }
+
+    workerParams( message ) {
+
+        // Rebuilds the source object from the meshes of workerRequest
+        const sourceObject = new Group();
+
+        for ( const item of message.meshes ) {
+
+            const mesh = new Mesh();
+
+            if ( item.excluded ) {
+
+                mesh.userData.includeInSearch = false;
+
+            } else {
 
-        super.startProcess();
+                mesh.geometry = unpackGeometry( item.geometry );
+                mesh.matrix.fromArray( item.matrix );
+                mesh.matrixAutoUpdate = false;
+
+            }
+
+            sourceObject.add( mesh );
+
+        }
+
+        let physicalScale = message.physicalScale;
+
+        if ( Array.isArray( physicalScale ) ) {
+
+            sourceObject.scale.fromArray( physicalScale );
+            physicalScale = undefined;
+
+        }
+
+        return { sourceObject, physicalScale, displayScale: message.displayScale };
+
+    }
+
+    workerResponse() {
+
+        // The geometry data stays in the worker, only the geometry to show is passed
+        const { packed, transfer } = packGeometry( this.root.children[ 0 ].geometry );
+
+        return { message: { geometry: packed }, transfer };
+
+    }
+
+    receiveWorkerResult( message ) {
+
+        this.root.add( new Mesh( unpackGeometry( message.geometry ), this.material ) );
+
+    }
+
+    *preprocess( params ) {
+
+        const scope = this;
 
         try {
 
             const sourceObject = params.sourceObject;
             if ( !sourceObject ) throw new Error( "Source object is missing." )
 
-            const sourceUUID = sourceObject.uuid;
+            // Meters per unit of the source object's local space
+            const physicalScale = ( params.physicalScale ) ? new Vector3().setScalar( params.physicalScale ) : sourceObject.scale;
 
             const reductionFactor = this.reductionFactor;
 
+            // Parts of a composed scene may have been moved since loading
+            sourceObject.updateMatrixWorld( true );
+
             this.result.geometryData = [];
 
             const geometries = [];
             let geometryCount = 0;
             let vertexTotal = 0;
             let facesTotal = 0;
+            let excludedCount = 0;
 
-            function extractGeometry( obj ) {
+            function* extractGeometry( obj, index, meshCount ) {
 
                 if (obj.isMesh && obj.geometry && obj.geometry.isBufferGeometry) {
-                    
-                    geometryCount++
 
                     // Calculate the local transformation matrix of this geometry
-                    const localMatrix = new Matrix4();
-                    
-                    let ancestor = obj;
-                    while ( ancestor.uuid !== sourceUUID ) {
+                    const { matrix: localMatrix, excluded } = scope.getLocalTransform( obj, sourceObject );
 
-                        if ( ancestor.matrix ) {
-                            
-                            localMatrix.premultiply( ancestor.matrix );
+                    if ( excluded ) {
 
-                        }
-                        ancestor = ancestor.parent;
+                        excludedCount++;
+                        return;
 
-                    } 
+                    }
+
+                    geometryCount++
 
-                    // Add the local translation and scale of the source 
+                    // Add the local translation and scale of the source, such that the geometry is in meters
                     const positionVector = new Vector3().setFromMatrixPosition( localMatrix );
-                    positionVector.multiply( sourceObject.scale );
+                    positionVector.multiply( physicalScale );
                     localMatrix.setPosition( positionVector );
-                    localMatrix.scale( sourceObject.scale );
+                    localMatrix.scale( physicalScale );
 
                     // Extract and transform the vertices & normals of this geometry
                     let geometry = obj.geometry.clone();
@@ -110,7 +249,13 @@ class PreProcessorProcess extends Process {
                     if ( reductionFactor > 0 ) {
 
                         const count = Math.floor( modifier.verticesCount * reductionFactor );
-                        modifier.collapse( count );
+
+                        for ( const fraction of modifier.collapseSteps( count ) ) {
+
+                            scope.setProgress( ( index + fraction ) / meshCount, "Reducing geometry #" + geometryCount );
+                            yield;
+
+                        }
 
                         console.log("Reduced geometry #" + geometryCount + ": Faces count =", modifier.facesCount, "Vertices count =", modifier.verticesCount);
                     }
@@ -123,8 +268,7 @@ class PreProcessorProcess extends Process {
 
                     if ( facesCount <= 2 ) {
 
-                        alert("Geometry #" + geometryCount + " contains insuffiecient data.")
-                        console.log( "Geometry #" + geometryCount + " contains insuffiecient data." );
+                        scope.warn( "Geometry #" + geometryCount + " was skipped, since it contains insufficient data (" + facesCount + " faces)." );
         
                     } else {
 
@@ -140,7 +284,27 @@ class PreProcessorProcess extends Process {
                 }
 
             }
-            sourceObject.traverse( extractGeometry )
+
+            // Collect the meshes first, such that they can be processed in steps
+            const meshes = [];
+            sourceObject.traverse( ( obj ) => { if ( obj.isMesh ) meshes.push( obj ) } );
+
+            for ( let i = 0, l = meshes.length; i < l; i++ ) {
+
+                this.setProgress( i / l, "Extracting geometry #" + ( geometryCount + 1 ) );
+                yield;
+
+                yield* extractGeometry( meshes[ i ], i, l );
+
+            }
+
+            if ( excludedCount > 0 ) console.log( "Geometries excluded from the search:", excludedCount );
+
+            if ( geometries.length === 0 && excludedCount > 0 ) {
+
+                throw new Error( "All objects in the scene are excluded from the search." )
+
+            }
 
             // Show the geometry
             const mergedGeometry = mergeBufferGeometries( geometries );
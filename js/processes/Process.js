@@ -1,12 +1,52 @@
 import { Object3D, Color, Vector3 } from 'three';
+import { penProfiles, defaultPenProfile } from '../PenProfiles.js';
+import { diagnostics } from '../Diagnostics.js';
+
+function disposeObject( obj ) {
+
+    if ( obj?.geometry?.dispose ) {
+
+        obj.geometry.dispose();
+
+    };
+
+    if ( obj?.material ) {
+
+        if (Array.isArray(obj.material)) {
+
+            obj.material.forEach( ( mat ) => { if ( mat?.dispose ) mat.dispose() } );
+
+        } else if ( obj?.material?.dispose ) {
+
+             obj.material.dispose();
+
+        }
+
+    }
+
+}
+
+// Keys of the objects that results are computed from, for the result caches
+const objectKeys = new WeakMap();
+let objectKeyCount = 0;
+
+function getObjectKey( obj ) {
+
+    if ( !objectKeys.has( obj ) ) objectKeys.set( obj, ++objectKeyCount );
+
+    return objectKeys.get( obj );
+
+}
 
 class Process {
 
     constructor( processName, onCompleted = null, onError = null ) {
 
         // constants & variables
+        // rootSize is the size at which results are shown in the scene, not the size of the sculpture
         this.rootSize = .25;
         this.defaultColor =  "#ea7340";
+        this.penProfile = { ...penProfiles[ defaultPenProfile ] };
         this.material = null;
         this.heading = processName;
         this.headingPosition = new Vector3();
@@ -21,9 +61,55 @@ class Process {
         // Results produced by process
         this.result = {}
 
+        // Start time of the current run, for the diagnostics
+        this.startTime = 0;
+
+        // State of the current run. Runs are numbered, such that a superseded run stops.
+        this.running = false;
+        this.runId = 0;
+        this.params = null;
+        this.steps = null;
+        this.cancelRequested = false;
+
+        // Long running steps are run in slices of sliceDuration ms, to keep the page responsive
+        this.sliceDuration = 30;
+
+        // Progress of the current run: percent complete and a label of the current phase
+        this.progress = { percent: 0, phase: "" };
+
+        // Last completed state (visuals, result and the params it was computed from),
+        // which is restored when a run is cancelled
+        this.previousState = null;
+        this.completedParams = null;
+
+        // Whether a failed run restores the last completed state, instead of leaving no result
+        this.restoreOnError = false;
+
+        // Properties that the result depends on, besides the params. These are part of the key
+        // of the cached results, and are copied to the process in the worker.
+        this.resultSettings = [];
+
+        // Completed results and their visuals, by the params and resultSettings they were computed from.
+        // The least recently used result is removed when the cache holds more than cacheSize results.
+        // Processes that cache their results call useCachedResult when they start.
+        this.cache = new Map();
+        this.cacheSize = 4;
+        this.cacheKey = null;
+        this.cachedObjects = new Set();
+
+        // Pipeline worker that runs the process, see PipelineWorkerClient.
+        // Without a worker, the process runs on the main thread.
+        this.worker = null;
+
         // Callbacks
         this.onCompleted = onCompleted;
         this.onError = onError;
+        this.onProgress = null;
+        this.onCancelled = null;
+
+        // Called when the process starts or stops running, e.g. to indicate that the page is busy.
+        // Processes do not use the DOM themselves, such that they also run in a worker or in Node.
+        this.onRunningChange = null;
 
     }
 
@@ -68,45 +154,437 @@ class Process {
 
     reset() {
 
-        let meshDispose = function ( obj ) {
+        // Cached visuals are disposed when they are removed from the cache
+        const root = this.root;
+        root.children.filter( ( child ) => !this.cachedObjects.has( child ) ).forEach( ( child ) => child.traverse( disposeObject ) );
+        root.clear();
+        //root.scale.set( 1, 1, 1 );
+        //root.rotation.set( 0, 0, 0 );
+
+    }
+
+    clear() {
+
+        // Removes the results, including the last completed state
+        this.reset();
+        this.discardPreviousState();
+        this.result = {};
+        this.completedParams = null;
+
+    }
+
+    warn( message ) {
+
+        // Warnings are shown in the diagnostics panel
+        console.log( message );
+        diagnostics.warn( this.processName, message );
+
+    }
+
+    stashState( params ) {
+
+        // Sets the visuals and result of the last completed run aside, without disposing them
+        this.previousState = {
+            children: [ ...this.root.children ],
+            result: this.result,
+            params: this.completedParams
+        };
+
+        this.root.clear();
+
+    }
+
+    canRestoreState() {
+
+        // The last completed state is only valid if it was computed from the same input
+        return Boolean( this.previousState ) && this.previousState.params === this.params;
+
+    }
+
+    restoreState() {
+
+        // Called after a failure or cancellation, once the partial results are removed
+        const previous = this.previousState;
+        this.previousState = null;
+
+        if ( !previous ) return;
+
+        previous.children.forEach( ( child ) => this.root.add( child ) );
+
+        this.result = previous.result;
+        this.completedParams = previous.params;
+
+    }
+
+    discardPreviousState() {
+
+        const previous = this.previousState;
+        this.previousState = null;
+
+        if ( !previous ) return;
 
-            if ( obj?.geometry?.dispose ) {
+        previous.children.filter( ( child ) => !this.cachedObjects.has( child ) ).forEach( ( child ) => child.traverse( disposeObject ) );
 
-                obj.geometry.dispose();
+    }
+
+    getCacheKey( params ) {
+
+        // Params are the (unchanging) result of the previous process, and are identified as an object
+        const settings = {};
+        this.resultSettings.forEach( ( name ) => settings[ name ] = this[ name ] );
+
+        return getObjectKey( params ) + ":" + JSON.stringify( settings );
+
+    }
+
+    useCachedResult() {
+
+        // Completes the run with the cached result for the params and settings, if there is one
+        this.cacheKey = ( this.cacheSize > 0 ) ? this.getCacheKey( this.params ) : null;
+
+        const entry = this.cache.get( this.cacheKey );
+        if ( !entry ) return false;
+
+        // Results that are kept in the worker cannot be used once the worker is gone
+        if ( !this.worker && entry.result.workerResultId !== undefined ) {
+
+            this.cache.delete( this.cacheKey );
+            this.removeCachedResult( entry );
+
+            return false;
+
+        }
+
+        // Most recently used results are last
+        this.cache.delete( this.cacheKey );
+        this.cache.set( this.cacheKey, entry );
+
+        entry.children.forEach( ( child ) => this.root.add( child ) );
+        this.result = entry.result;
+
+        console.log( "Using the cached result." );
+
+        this.handleCompleted();
+
+        return true;
+
+    }
+
+    cacheResult() {
+
+        if ( this.cacheKey === null || this.cache.has( this.cacheKey ) ) return;
+
+        const entry = { result: this.result, children: [ ...this.root.children ] };
+        entry.children.forEach( ( child ) => this.cachedObjects.add( child ) );
+
+        this.cache.set( this.cacheKey, entry );
+
+        while ( this.cache.size > this.cacheSize ) {
+
+            const [ key, removed ] = this.cache.entries().next().value;
+            this.cache.delete( key );
+
+            this.removeCachedResult( removed );
+
+        }
+
+    }
+
+    removeCachedResult( entry ) {
 
-            };
+        // Visuals that are shown are disposed when they are removed from the root
+        for ( const child of entry.children ) {
 
-            if ( obj?.material ) {
+            this.cachedObjects.delete( child );
+            if ( child.parent !== this.root ) child.traverse( disposeObject );
 
-                if (Array.isArray(obj.material)) {
+        }
+
+        // The worker keeps the results that the main thread refers to
+        if ( this.worker && entry.result.workerResultId !== undefined ) this.worker.release( this, entry.result.workerResultId );
+
+    }
+
+    clearCache() {
+
+        this.cache.forEach( ( entry ) => this.removeCachedResult( entry ) );
+        this.cache.clear();
+
+    }
+
+    setProgress( fraction, phase = this.progress.phase ) {
+
+        this.progress = { percent: Math.min( 100, Math.max( 0, fraction * 100 ) ), phase: phase };
+
+        // Runs in steps report their progress once per slice
+        if ( !this.steps && Boolean( this.onProgress ) ) this.onProgress( this );
+
+    }
+
+    runSteps( steps ) {
+
+        // Runs a generator in slices of sliceDuration ms, such that the page stays responsive.
+        // The generator yields regularly, and calls handleCompleted when it is done.
+        // Between slices the progress is reported and a cancel request is handled.
+        const scope = this;
+        const runId = this.runId;
+
+        this.steps = steps;
+
+        function runSlice() {
 
-                    obj.material.forEach( ( mat ) => { if ( mat?.dispose ) mat.dispose() } );
+            // Stop if the run was superseded or stopped
+            if ( runId !== scope.runId ) return;
 
-                } else if ( obj?.material?.dispose ) {
+            if ( scope.cancelRequested ) {
 
-                     obj.material.dispose();
+                steps.return();
+                scope.handleCancelled();
+                return;
+
+            }
+
+            const sliceEnd = performance.now() + scope.sliceDuration;
+
+            try {
+
+                while ( performance.now() < sliceEnd ) {
+
+                    if ( steps.next().done ) return;
+
+                    if ( runId !== scope.runId ) return;
 
                 }
 
             }
 
+            catch( err ) {
+
+                scope.handleError( err );
+                return;
+
+            }
+
+            if ( Boolean( scope.onProgress ) ) scope.onProgress( scope );
+
+            setTimeout( runSlice, 0 );
+
         }
-    
-        const root = this.root;
-        root.traverse(meshDispose);
-        root.clear();
-        //root.scale.set( 1, 1, 1 );
-        //root.rotation.set( 0, 0, 0 );
+
+        runSlice();
+
+    }
+
+    runInWorker( params ) {
+
+        // The process in the worker runs from the message of workerRequest,
+        // and its results are passed to receiveWorkerResult
+        const { message, transfer } = this.workerRequest( params );
+
+        const settings = {};
+        this.resultSettings.forEach( ( name ) => settings[ name ] = this[ name ] );
+
+        this.worker.start( this, message, settings, transfer );
+
+    }
+
+    workerRequest( params ) {
+
+        // Derived classes that run in the worker to implement, returns { message, transfer }
+        throw new Error( this.processName + " cannot run in a worker." );
+
+    }
+
+    getWorkerModules() {
+
+        // URLs of modules that the worker imports before the process runs there, e.g. extensions
+        return [];
+
+    }
+
+    workerParams( message, results ) {
+
+        // Called in the worker, returns the params from the message of workerRequest.
+        // results are the results of the processes in the worker, by resultId.
+        // Derived classes that run in the worker to implement
+        return message;
+
+    }
+
+    workerResponse() {
+
+        // Called in the worker once the process completed, returns the result to pass to
+        // the main thread as { message, transfer }. Derived classes that run in the worker to implement
+        return { message: {}, transfer: [] };
+
+    }
+
+    receiveWorkerResult( message ) {
+
+        // Restores the result and the visuals from the message of workerResponse
+        // Derived classes that run in the worker to implement
+
+    }
+
+    handleWorkerMessage( data ) {
+
+        // Messages of a superseded or stopped run are ignored, and its result is released
+        if ( !this.running || data.runId !== this.runId ) {
+
+            if ( data.type === "completed" && this.worker ) this.worker.release( this, data.resultId );
+            return;
+
+        }
+
+        switch ( data.type ) {
+
+            case "progress":
+
+                this.progress = data.progress;
+                if ( Boolean( this.onProgress ) ) this.onProgress( this );
+                break;
+
+            case "completed":
+
+                try {
+
+                    this.receiveWorkerResult( data.message );
+
+                    // The process in the worker keeps the full result, which is referred to by its id
+                    this.result.workerResultId = data.resultId;
+
+                }
+
+                catch( err ) {
+
+                    this.worker.release( this, data.resultId );
+
+                    this.reset();
+                    this.handleError( err );
+                    return;
+
+                }
+
+                this.handleCompleted();
+                break;
+
+            case "error": {
+
+                const err = new Error( data.message );
+                err.stack = data.stack;
+
+                this.handleError( err );
+                break;
+
+            }
+
+        }
+
+    }
+
+    cancel() {
+
+        // Runs in steps are cancelled between slices, other runs immediately
+        if ( !this.running ) return;
+
+        // The run in the worker is stopped, and the last completed state is restored here
+        if ( this.worker ) {
+
+            this.worker.stop( this );
+            this.handleCancelled();
+            return;
+
+        }
+
+        if ( this.steps ) {
+
+            this.cancelRequested = true;
+
+        } else {
+
+            this.handleCancelled();
+
+        }
+
+    }
+
+    abort() {
+
+        // Stops the run without notice, e.g. when the input of the process is recomputed
+        if ( !this.running ) return;
+
+        if ( this.worker ) this.worker.stop( this );
+
+        this.endRun();
+        this.clear();
+
+        console.timeEnd( this.processName );
+        console.log( this.processName + " was stopped." );
+        console.groupEnd( this.processName );
+
+        diagnostics.setTiming( this.processName, performance.now() - this.startTime, "stopped" );
+
+    }
+
+    endRun() {
+
+        this.running = false;
+        this.runId++;
+        this.steps = null;
+        this.cancelRequested = false;
+
+        // Indicate process has terminated
+        if ( Boolean( this.onRunningChange ) ) this.onRunningChange( this );
+
+    }
+
+    handleCancelled() {
+
+        this.endRun();
+
+        // Return to the last completed state, if it is still valid
+        this.reset();
+
+        if ( this.canRestoreState() ) {
+
+            this.restoreState();
+
+        } else {
+
+            this.discardPreviousState();
+            this.result = {};
+            this.completedParams = null;
+
+        }
+
+        console.timeEnd( this.processName );
+        console.log( this.processName + " was cancelled." );
+        console.groupEnd( this.processName );
+
+        diagnostics.info( this.processName, "Cancelled by the user." );
+        diagnostics.setTiming( this.processName, performance.now() - this.startTime, "cancelled" );
+
+        if ( Boolean( this.onCancelled ) ) this.onCancelled( this.processName );
 
     }
 
     handleError( err ) {
 
+        this.endRun();
+
         this.reset();
-        
-        // Indicate to user that process has terminated
-        document.body.style.cursor = "auto";
 
+        if ( this.restoreOnError && this.canRestoreState() ) {
+
+            this.restoreState();
+
+        } else {
+
+            this.discardPreviousState();
+            this.completedParams = null;
+
+        }
+        
         console.timeEnd( this.processName );
         
         const msg = "The " + this.processName + " process failed. ";
@@ -114,20 +592,30 @@ class Process {
 
         console.groupEnd( this.processName );
 
-        alert( msg + "\n\nSee console for more information." );
+        diagnostics.error( this.processName, msg + err.message, err );
+        diagnostics.setTiming( this.processName, performance.now() - this.startTime, "failed" );
 
-        if ( Boolean( this.onError )) this.onError( err )
+        if ( Boolean( this.onError )) this.onError( err, this.processName )
 
     }
 
     handleCompleted() {
 
-        // Indicate process has terminated
-        document.body.style.cursor = "auto";
+        this.endRun();
+
+        // The new result replaces the last completed state. Results are not changed once completed,
+        // since they are cached and used by the next processes.
+        Object.freeze( this.result );
+        this.cacheResult();
+
+        this.discardPreviousState();
+        this.completedParams = this.params;
 
         console.timeEnd( this.processName );
         console.log( this.processName + " completed successfully.");
         console.groupEnd( this.processName );
+
+        diagnostics.setTiming( this.processName, performance.now() - this.startTime, "completed" );
         
 
         if ( Boolean(this.onCompleted )) {
@@ -140,14 +628,44 @@ class Process {
 
     startProcess( params = {} ) {
 
-        // Start by removing existing results and visuals
+        // Start by setting the last completed results and visuals aside. A run that is
+        // still in progress is superseded, and its partial results are removed.
+        if ( this.running ) {
+
+            this.endRun();
+            this.reset();
+
+            console.timeEnd( this.processName );
+            console.groupEnd( this.processName );
+
+        } else {
+
+            this.stashState( params );
+
+        }
+
         this.reset();
         this.result = {};
+        this.params = params;
+        this.cacheKey = null;
+        this.running = true;
+        this.progress = { percent: 0, phase: "" };
+
+        // Results are shown at the same scale as the source object, and the scale is passed on
+        if ( params.displayScale ) {
+
+            this.scale = params.displayScale;
+            this.result.displayScale = params.displayScale;
+
+        }
 
         // Indicate process has started & start timer
         console.group( this.processName );
         console.time( this.processName );
-        document.body.style.cursor = "progress";
+        if ( Boolean( this.onRunningChange ) ) this.onRunningChange( this );
+
+        this.startTime = performance.now();
+        diagnostics.setTiming( this.processName, null, "running" );
 
         // Derived classes to implement
 
@@ -1,5 +1,16 @@
 import { LineBasicMaterial, BufferGeometry, LineSegments, Vector3, Color } from 'three';
 import { Process } from './Process.js';
+import { packPaths, unpackPaths } from '../BufferPacking.js';
+import { searchAlgorithms } from '../SearchAlgorithms.js';
+import { TourImprovement } from '../TourImprovement.js';
+import { diagnostics } from '../Diagnostics.js';
+
+// Search modes in their own modules, which register themselves
+import '../search/WireframeSearch.js';
+import '../search/ContourSearch.js';
+import '../search/SliceSearch.js';
+import '../search/CurvatureSearch.js';
+import '../search/SpiralSearch.js';
 
 
 class SearchProcess extends Process {
@@ -14,20 +25,33 @@ class SearchProcess extends Process {
             color: this.color.clone().lerp( new Color("#000000"), .6) 
         } );
 
-        // Include 'Greedy search' if wanted
-        this.searchAlgorithms = [ 'Sequential walk', 'Nearest Neighbor', 'Wrapping path search' ];
         this.searchAlgorithm = 'Nearest Neighbor';
 
+        // Values of the settings of each algorithm, by name
+        this.algorithmSettings = {};
+
         this.previousPoint = null;
         this.previousVector = null;
         this.shortestEdge = Infinity;
 
-        this.isDirty = false;
-
         this.terminatePaths = false;
 
+        // The algorithm is set before its settings
+        this.resultSettings = [ "searchAlgorithm", "searchSettings", "searchPenProfile", "terminatePaths" ];
+
+        // Geometry being searched, for the progress report
+        this.geometryIndex = 0;
+        this.geometryCount = 1;
+
     }
     
+    reportProgress( fraction, phase ) {
+
+        // Progress within the current geometry, as part of the progress over all geometries
+        this.setProgress( ( this.geometryIndex + fraction ) / this.geometryCount, phase );
+
+    }
+
     resetPreviousPoint() {
 
         this.previousPoint = null;
@@ -172,7 +196,7 @@ class SearchProcess extends Process {
 
     }
 
-    sequentialWalk( data ) {
+    *sequentialWalk( data ) {
 
         const paths = [];
         let path = [];
@@ -185,6 +209,13 @@ class SearchProcess extends Process {
 
         for ( let i = 0, l = data.facesCount; i < l; i++ ) {
 
+            if ( i % 1000 === 0 ) {
+
+                this.reportProgress( i / l, "Walking the faces" );
+                yield;
+
+            }
+
             face = faces[ i ];
 
             if ( !prevFace ) {
@@ -234,7 +265,7 @@ class SearchProcess extends Process {
 
     }
     
-    nearestNeighborSearch( data ) {
+    *nearestNeighborSearch( data, settings = {} ) {
 
         const faces = data.faces;
         
@@ -242,7 +273,7 @@ class SearchProcess extends Process {
 
         if ( facesCount < 2 ) {
 
-            alert( "Insufficient geometry data found." );
+            this.warn( "Insufficient geometry data found." );
             return [];
 
         }
@@ -264,6 +295,9 @@ class SearchProcess extends Process {
         
         const paths = [];
 
+        // The faces of each path, in order, for the tour improvement
+        const facePaths = [];
+
         let selectedCount = 0;
 
         let currentFace = faces[ 0 ];
@@ -275,12 +309,21 @@ class SearchProcess extends Process {
             this.resetPreviousPoint();
         
             const path = [];
+            const facePath = [];
             
             while ( currentFace !== null ) {
 
+                if ( selectedCount % 1000 === 0 ) {
+
+                    this.reportProgress( selectedCount / facesCount, "Selecting faces" );
+                    yield;
+
+                }
+
                 currentFace.degree++;
                 selectedCount++;
                 path.push( this.getNextPoint( currentFace ) );
+                facePath.push( currentFace );
 
                 currentFace = this.getNearestNeighbor( currentFace );
             
@@ -292,16 +335,25 @@ class SearchProcess extends Process {
             currentFace = this.getNearestNeighbor( startFace );
 
             while ( currentFace !== null ) {
+
+                if ( selectedCount % 1000 === 0 ) {
+
+                    this.reportProgress( selectedCount / facesCount, "Selecting faces" );
+                    yield;
+
+                }
                 
                 currentFace.degree++;
                 selectedCount++;
                 path.unshift( this.getNextPoint( currentFace ) );
+                facePath.unshift( currentFace );
 
                 currentFace = this.getNearestNeighbor( currentFace );
             
             };
 
             if ( path.length > 1 ) paths.push( path );
+            facePaths.push( facePath );
 
             currentFace = getStartFace();
 
@@ -309,11 +361,86 @@ class SearchProcess extends Process {
         
         console.timeEnd( "Selecting faces." );
 
+        if ( settings.improveTour ) return yield* this.improveTour( data, facePaths, paths, settings );
+
         return paths;
 
     }
 
-    greedySearch( data ) {
+    getTravel( paths ) {
+
+        // Length of the paths as placed, and of the pen moves between consecutive paths
+        let length = 0, jumpLength = 0;
+
+        paths.forEach( ( path, i ) => {
+
+            for ( let j = 1; j < path.length; j++ ) length += path[ j ].distanceTo( path[ j - 1 ] );
+
+            if ( i > 0 ) jumpLength += paths[ i - 1 ][ paths[ i - 1 ].length - 1 ].distanceTo( path[ 0 ] );
+
+        } );
+
+        return { length, jumpLength, travel: length + jumpLength };
+
+    }
+
+    *improveTour( data, facePaths, paths, settings ) {
+
+        // 2-opt and Or-opt improvement of the order of the faces, after which the points are placed again.
+        // The paths of the search are kept when the placed points of the improved tour are not shorter.
+        const faces = data.faces;
+        const indices = new Map( faces.map( ( face, i ) => [ face, i ] ) );
+        const tour = facePaths.flat().map( ( face ) => indices.get( face ) );
+
+        const improvement = new TourImprovement( faces, tour );
+        const before = improvement.getStatistics();
+
+        const { passes, moves, timedOut, time } = yield* improvement.improve(
+            settings.improvementPasses,
+            settings.improvementTime * 1000,
+            ( fraction, phase ) => this.reportProgress( fraction, phase )
+        );
+
+        const after = improvement.getStatistics();
+
+        const improvedPaths = [];
+
+        for ( const facePath of improvement.getPaths() ) {
+
+            if ( facePath.length < 2 ) continue;
+
+            this.resetPreviousPoint();
+            improvedPaths.push( facePath.map( ( index ) => this.getNextPoint( faces[ index ] ) ) );
+
+        }
+
+        const travelBefore = this.getTravel( paths );
+        const travelAfter = this.getTravel( improvedPaths );
+        const improved = travelAfter.travel < travelBefore.travel;
+
+        const meters = ( value ) => value.toFixed( 2 ) + " m";
+
+        console.log( "Tour improvement: %d passes, %d moves in %s s%s", passes, moves, ( time / 1000 ).toFixed( 1 ), ( timedOut ) ? " (time budget used)" : "" );
+        console.log( "Travel: %s before, %s after", meters( travelBefore.travel ), meters( travelAfter.travel ) );
+        console.log( "Pen moves between paths: %d (%s) before, %d (%s) after", paths.length - 1, meters( travelBefore.jumpLength ), improvedPaths.length - 1, meters( travelAfter.jumpLength ) );
+        console.log( "Steps around a vertex: %d before, %d after", before.vertexSteps, after.vertexSteps );
+
+        if ( !improved ) {
+
+            diagnostics.info( this.processName, "Tour improvement: the tour of " + meters( travelBefore.travel ) + " could not be shortened, it is kept." );
+
+            return paths;
+
+        }
+
+        diagnostics.info( this.processName, "Tour improvement: travel " + meters( travelBefore.travel ) + " to " + meters( travelAfter.travel ) +
+            ", " + paths.length + " to " + improvedPaths.length + " paths." );
+
+        return improvedPaths;
+
+    }
+
+    *greedySearch( data ) {
 
         // Create edges
 
@@ -326,7 +453,7 @@ class SearchProcess extends Process {
 
         if ( total_edges < 2 ) {
 
-            alert( "Insufficient geometry data found." );
+            this.warn( "Insufficient geometry data found." );
             return [];
 
         }
@@ -340,7 +467,16 @@ class SearchProcess extends Process {
         
         const selectedEdges = new EdgeCollection();
 
+        let edgeCount = 0;
+
         while ( edges.count > 0 ) {
+
+            if ( ++edgeCount % 1000 === 0 ) {
+
+                this.reportProgress( .5 * edgeCount / total_edges, "Selecting edges" );
+                yield;
+
+            }
             
             const target = edges.popLowestCostEdge(); 
 
@@ -374,9 +510,13 @@ class SearchProcess extends Process {
         console.time( "Constructing final path" );
 
         const paths = [];
+        const chainedCount = connectedEdges.count;
 
         while ( terminalEdges.count > 0 && connectedEdges.count > 0 ) {
 
+            this.reportProgress( .5 + .5 * ( 1 - connectedEdges.count / chainedCount ), "Constructing paths" );
+            yield;
+
             this.resetPreviousPoint();
             
             const path = [];
@@ -445,7 +585,7 @@ class SearchProcess extends Process {
 
     }
 
-    findPathFromFace( startFace ) {
+    *findPathFromFace( startFace ) {
 
         function getUnconnectedNeighbors( searchNeighbors ) {
 
@@ -535,6 +675,8 @@ class SearchProcess extends Process {
 
         while ( activeNeighbors.length > 0 ) {
 
+            yield;
+
             let currentNeighbors = getUnconnectedNeighbors( activeNeighbors );
 
             activeNeighbors = [];
@@ -569,7 +711,7 @@ class SearchProcess extends Process {
 
     }   
 
-    WrappingPathSearch( data ) {
+    *WrappingPathSearch( data ) {
 
         const faces = data.faces;
 
@@ -597,7 +739,9 @@ class SearchProcess extends Process {
 
         while ( nextFace ) {
 
-            const facePath = this.findPathFromFace( nextFace )
+            this.reportProgress( previousIndex / faces.length, "Wrapping paths" );
+
+            const facePath = yield* this.findPathFromFace( nextFace )
 
             this.resetPreviousPoint();
 
@@ -619,13 +763,16 @@ class SearchProcess extends Process {
 
     }
 
-    terminatePathPoints( searchPaths ) {
+    *terminatePathPoints( searchPaths ) {
 
         // Terminating the paths 
         console.log( "Terminating the paths found. ");
 
         for ( let i = 0, l = searchPaths.length; i < l; i++ ) {
 
+            this.setProgress( i / l, "Terminating the paths" );
+            yield;
+
             const path = searchPaths[ i ];
 
             const pointStart = path[ 0 ];
@@ -673,76 +820,185 @@ class SearchProcess extends Process {
 
     }
 
+    get searchAlgorithms() {
+
+        return searchAlgorithms.names;
+
+    }
+
+    get searchSettings() {
+
+        // Settings of the selected algorithm, starting from the defaults of its schema
+        const name = this.searchAlgorithm;
+
+        if ( !this.algorithmSettings[ name ] ) this.algorithmSettings[ name ] = searchAlgorithms.getDefaults( name );
+
+        return this.algorithmSettings[ name ];
+
+    }
+
+    set searchSettings( values ) {
+
+        const name = this.searchAlgorithm;
+
+        this.algorithmSettings[ name ] = { ...searchAlgorithms.getDefaults( name ), ...values };
+
+    }
+
+    get searchPenProfile() {
+
+        // The filament diameter is only a setting of the algorithms that use the pen profile, other
+        // values of the profile (feed rate, stick length) do not change the paths
+        const algorithm = searchAlgorithms.get( this.searchAlgorithm );
+
+        return ( algorithm && algorithm.usesPenProfile ) ? { diameter: this.penProfile.diameter } : null;
+
+    }
+
+    set searchPenProfile( value ) {
+
+        if ( value ) this.penProfile = { ...this.penProfile, ...value };
+
+    }
+
     get searchFunction() {
+
         const scope = this;
-        
-        switch ( this.searchAlgorithm ) {
+        const algorithm = searchAlgorithms.get( this.searchAlgorithm );
 
-            case 'Sequential walk':
-                return function( data ) { 
-                    
-                    return scope.sequentialWalk( data );
-                
-                };
+        if ( !algorithm ) throw new Error( "Unknown search algorithm: " + this.searchAlgorithm );
 
-            case 'Nearest Neighbor':
-                return function( data ) { 
-                
-                    scope.isDirty = true;
-                    return scope.nearestNeighborSearch( data );
-                
-                };
+        const settings = { ...this.searchSettings };
 
-            case 'Greedy search':
-                return function( data ) { 
-                    
-                    scope.isDirty = true;
-                    return scope.greedySearch( data );
-                
-                };
+        return function*( data ) {
 
-            case 'Wrapping path search':
-                return function( data ) { 
-                        
-                    scope.isDirty = true;
-                    return scope.WrappingPathSearch( data );
-                    
-                };
+            let paths = algorithm.search( data, settings, scope );
 
-        }
+            // Long running algorithms are generators, which return the paths
+            if ( paths && typeof paths.next === "function" ) paths = yield* paths;
+
+            if ( !Array.isArray( paths ) ) throw new Error( "The " + algorithm.name + " algorithm did not return any paths." );
+
+            return paths;
+
+        };
 
     }
 
     startProcess( params ) {
 
-        const scope = this;
+        super.startProcess( params );
 
-        super.startProcess();
+        if ( this.useCachedResult() ) return;
 
-        try {
+        if ( this.worker ) {
 
-            const geometryData = params.geometryData;
-            const geometryCount = ( geometryData ) ? geometryData.length : 0;
-            if ( !geometryData || geometryCount < 1) throw new Error( "Geometry data is missing." );
+            this.runInWorker( params );
+            return;
 
-            if ( this.isDirty ) {
+        }
 
-                for ( let i = 0; i < geometryCount; i++ ) {
+        this.runSteps( this.search( params ) );
 
-                    const faces = geometryData[ i ].faces;
+    }
 
-                    for ( let j = 0, l = faces.length; j < l; j++ ) {
+    workerRequest( params ) {
 
-                        faces[ j ].degree = 0;
+        // The geometry data is kept by the pre-processing in the worker
+        if ( params.workerResultId === undefined ) throw new Error( "Geometry data is missing in the worker." );
 
-                    }
+        return { message: { resultId: params.workerResultId }, transfer: [] };
 
-                }
+    }
+
+    getWorkerModules() {
+
+        // The worker imports the modules of the registered algorithms, to register them as well
+        return searchAlgorithms.modules;
+
+    }
+
+    workerParams( message, results ) {
+
+        const params = results.get( message.resultId );
+        if ( !params ) throw new Error( "Geometry data is no longer available in the worker." );
+
+        return params;
+
+    }
+
+    workerResponse() {
+
+        const { packed, transfer } = packPaths( this.result.paths );
+
+        const message = {
+            paths: packed,
+            shortestEdge: this.result.shortestEdge,
+            pointCount: this.result.pointCount
+        };
 
-                this.isDirty = false;
+        return { message, transfer };
+
+    }
+
+    receiveWorkerResult( message ) {
+
+        this.result.paths = unpackPaths( message.paths );
+        this.result.shortestEdge = message.shortestEdge;
+        this.result.pointCount = message.pointCount;
+
+        this.showPaths( this.result.paths );
+
+    }
+
+    showPaths( paths ) {
+
+        // Combine points from the separate line paths for a more efficient rendering
+        let points = [];
+        const indices = [];
+        let accumPoints = 0
+
+        console.log( "Creating visual representation" );
+
+        for ( let i = 0, l = paths.length; i < l; i++ ) {
+
+            const line = paths[ i ];
+
+            const numPoints = line.length;
+
+            points = points.concat( line );
+
+            for ( let i = 0, l = numPoints - 2; i < l; i++ ) {
+
+                indices.push( accumPoints + i, accumPoints + i + 1 );
 
             }
 
+            accumPoints += numPoints;
+
+        }
+
+        const geometry = new BufferGeometry().setFromPoints( points );
+        geometry.setIndex( indices );
+
+        this.root.add( new LineSegments( geometry, this.material ) );
+
+    }
+
+    *search( params ) {
+
+        const scope = this;
+
+        try {
+
+            const geometryData = params.geometryData;
+            const geometryCount = ( geometryData ) ? geometryData.length : 0;
+            if ( !geometryData || geometryCount < 1) throw new Error( "Geometry data is missing." );
+
+            // The degrees of the faces are the state of the search. They are cleared before and after
+            // the search, such that the pre-processing result is unchanged and can be searched again.
+            this.clearDegrees( geometryData );
+
             const extractPaths = this.searchFunction;
             
             console.log( "Path search using: %s algorithm", this.searchAlgorithm );
@@ -752,11 +1008,15 @@ class SearchProcess extends Process {
             const searchPaths = [];
             this.shortestEdge = Infinity;
 
+            this.geometryCount = geometryCount;
+
             for ( let i = 0; i < geometryCount; i++ ) {
 
                 const data = geometryData[ i ];
 
-                const paths = extractPaths( data );
+                this.geometryIndex = i;
+
+                const paths = yield* extractPaths( data );
     
                 if ( paths.length === 0 ) continue;
 
@@ -768,43 +1028,18 @@ class SearchProcess extends Process {
             
             if ( this.terminatePaths ) {
 
-                this.terminatePathPoints( searchPaths );
+                yield* this.terminatePathPoints( searchPaths );
 
             }
 
+            // Registered algorithms do not need to keep track of the shortest edge
+            if ( this.shortestEdge === Infinity ) this.shortestEdge = this.getShortestEdge( searchPaths );
+
             this.result.paths = searchPaths;
 
             this.result.shortestEdge = this.shortestEdge;
 
-            // Combine points from the separate line paths for a more efficient rendering
-            let points = [];
-            const indices = [];
-            let accumPoints = 0
-
-            console.log( "Creating visual representation" );
-
-            for ( let i = 0, l = searchPaths.length; i < l; i++ ) {
-
-                const line = searchPaths[ i ];
-
-                const numPoints = line.length;
-
-                points = points.concat( line );
-
-                for ( let i = 0, l = numPoints - 2; i < l; i++ ) {
-
-                    indices.push( accumPoints + i, accumPoints + i + 1 );
-
-                }
-
-                accumPoints += numPoints;
-
-            }
-        
-            const geometry = new BufferGeometry().setFromPoints( points );
-            geometry.setIndex( indices );
-
-            this.root.add( new LineSegments( geometry, this.material ) );
+            this.showPaths( searchPaths );
 
             let pointCount = 0;
             searchPaths.forEach( value => pointCount += value.length );
@@ -826,6 +1061,47 @@ class SearchProcess extends Process {
 
         }
 
+        finally {
+
+            if ( params.geometryData ) scope.clearDegrees( params.geometryData );
+
+        }
+
+    }
+
+    getShortestEdge( paths ) {
+
+        let shortestEdge = Infinity;
+
+        for ( const path of paths ) {
+
+            for ( let i = 1, l = path.length; i < l; i++ ) {
+
+                const distance = path[ i ].distanceTo( path[ i - 1 ] );
+                if ( distance > 0 && distance < shortestEdge ) shortestEdge = distance;
+
+            }
+
+        }
+
+        return shortestEdge;
+
+    }
+
+    clearDegrees( geometryData ) {
+
+        for ( const data of geometryData ) {
+
+            const faces = data.faces;
+
+            for ( let i = 0, l = faces.length; i < l; i++ ) {
+
+                faces[ i ].degree = 0;
+
+            }
+
+        }
+
     }
 
 }
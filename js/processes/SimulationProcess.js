@@ -16,24 +16,43 @@ class SimulationProcess extends Process {
             side: FrontSide
         } );
 
-        this.geometry = null;
-
         // Multiplies the number of points being rendered
         this.pointMultiplier = 1; 
 
-        // The total number of points being rendered
-        this.totalNumberOfPoints = 0;
+        // The tubes depend on the diameter of the pen
+        this.resultSettings = [ "pointMultiplier", "penProfile" ];
+
+    }
 
+    get geometry() {
+
+        // Geometry of the merged tubes
+        return this.result.geometry || null;
+
+    }
+
+    get totalNumberOfPoints() {
+
+        // The total number of points being rendered
         // The number of points contained in the CatmullRomCurves is
         // = this.totalNumberOfPoints / this.pointMultiplier
+        return this.result.totalNumberOfPoints || 0;
 
     }
 
     startProcess( params ) {
 
-        const scope = this;
+        super.startProcess( params );
+
+        if ( this.useCachedResult() ) return;
+
+        this.runSteps( this.simulate( params ) );
 
-        super.startProcess();
+    }
+
+    *simulate( params ) {
+
+        const scope = this;
 
         try {
             
@@ -41,27 +60,44 @@ class SimulationProcess extends Process {
             const geometries = [];
 
             const pointMultiplier = this.pointMultiplier;
+
+            // The tube has the diameter of the filament (profile is in mm)
+            const radius = this.penProfile.diameter / 2000;
             
             let totalNumberOfPoints = 0;
 
-            for ( const curve of params.curves ) {
+            const curves = params.curves;
+
+            for ( let i = 0, l = curves.length; i < l; i++ ) {
+
+                if ( i % 20 === 0 ) {
+
+                    this.setProgress( i / l, "Creating the tubes" );
+                    yield;
+
+                }
+
+                const curve = curves[ i ];
 
                 const geometryPointCount = curve.points.length * pointMultiplier;
 
                 totalNumberOfPoints += geometryPointCount;
 
-                const geometry = new TubeGeometry( curve, geometryPointCount, .0006, 10, false );
+                const geometry = new TubeGeometry( curve, geometryPointCount, radius, 10, false );
             
                 geometries.push( geometry );
                 
             }
-    
-            this.totalNumberOfPoints = totalNumberOfPoints;
 
             // Merge the individual tube geometries
-            this.geometry = mergeBufferGeometries( geometries );
+            this.setProgress( 1, "Merging the tubes" );
+            yield;
+
+            this.result.totalNumberOfPoints = totalNumberOfPoints;
+
+            this.result.geometry = mergeBufferGeometries( geometries );
 
-            this.root.add( new Mesh( this.geometry, this.material ) ) 
+            this.root.add( new Mesh( this.result.geometry, this.material ) ) 
 
             this.handleCompleted();
 
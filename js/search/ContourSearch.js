@@ -0,0 +1,517 @@
+/*
+Contour Search
+- Draws iso-lines of a scalar field over the surface, like the contour lines of a topographic map
+- Fields:
+  - Height along an axis
+  - Geodesic distance from a seed vertex, along the edges of the mesh (Dijkstra)
+  - Heat method distance from a seed vertex (Crane et al. 2013, "Geodesics in Heat"), a smoother
+    estimate of the geodesic distance: heat diffused from the seed for a short time gives the
+    direction of the distance, which is integrated by solving a Poisson equation
+- The seed is the lowest or highest vertex along the axis, or the vertex nearest to a point picked
+  on the pre-processing result
+- The lines are spaced by the filament diameter (times a factor), and ordered by their level
+*/
+
+import { Vector3 } from 'three';
+import { registerSearchAlgorithm } from '../SearchAlgorithms.js';
+import { indexMesh, getEdges, getVertexNeighbors, getMeanEdgeLength, traceIsoLines } from './SearchMesh.js';
+
+const axes = [ "X", "Y", "Z" ];
+
+const maxIterations = 5000;
+const tolerance = 1e-8;
+
+class MinHeap {
+
+    constructor() {
+
+        this.ids = [];
+        this.keys = [];
+
+    }
+
+    get size() {
+
+        return this.ids.length;
+
+    }
+
+    push( id, key ) {
+
+        const ids = this.ids, keys = this.keys;
+        let i = ids.length;
+
+        ids.push( id );
+        keys.push( key );
+
+        while ( i > 0 ) {
+
+            const parent = ( i - 1 ) >> 1;
+
+            if ( keys[ parent ] <= key ) break;
+
+            ids[ i ] = ids[ parent ];
+            keys[ i ] = keys[ parent ];
+            i = parent;
+
+        }
+
+        ids[ i ] = id;
+        keys[ i ] = key;
+
+    }
+
+    pop() {
+
+        // Returns { id, key } with the smallest key
+        const ids = this.ids, keys = this.keys;
+        const top = { id: ids[ 0 ], key: keys[ 0 ] };
+
+        const id = ids.pop();
+        const key = keys.pop();
+        const size = ids.length;
+
+        if ( size > 0 ) {
+
+            let i = 0;
+
+            while ( true ) {
+
+                let child = i * 2 + 1;
+
+                if ( child >= size ) break;
+                if ( child + 1 < size && keys[ child + 1 ] < keys[ child ] ) child++;
+                if ( keys[ child ] >= key ) break;
+
+                ids[ i ] = ids[ child ];
+                keys[ i ] = keys[ child ];
+                i = child;
+
+            }
+
+            ids[ i ] = id;
+            keys[ i ] = key;
+
+        }
+
+        return top;
+
+    }
+
+}
+
+function findSeed( mesh, settings, process ) {
+
+    const positions = mesh.positions;
+    const axis = axes.indexOf( settings.axis );
+
+    if ( settings.seed === "Picked point" ) {
+
+        // The picked point is in millimeters
+        const coordinates = settings.seedPoint.split( "," ).map( Number );
+
+        if ( coordinates.length === 3 && coordinates.every( Number.isFinite ) ) {
+
+            const point = new Vector3().fromArray( coordinates ).divideScalar( 1000 );
+            let nearest = 0;
+
+            positions.forEach( ( position, i ) => {
+
+                if ( position.distanceToSquared( point ) < positions[ nearest ].distanceToSquared( point ) ) nearest = i;
+
+            } );
+
+            return nearest;
+
+        }
+
+        process.warn( "No seed point is picked, the lowest point is used. Click the pre-processing result to pick a point." );
+
+    }
+
+    const sign = ( settings.seed === "Highest point" ) ? -1 : 1;
+    let seed = 0;
+
+    positions.forEach( ( position, i ) => {
+
+        if ( sign * position.getComponent( axis ) < sign * positions[ seed ].getComponent( axis ) ) seed = i;
+
+    } );
+
+    return seed;
+
+}
+
+function* geodesicDistance( mesh, neighbors, seed, onProgress ) {
+
+    // Shortest distance along the edges, Infinity for vertices that are not connected to the seed
+    const positions = mesh.positions;
+    const vertexCount = positions.length;
+    const distances = new Float64Array( vertexCount ).fill( Infinity );
+    const heap = new MinHeap();
+
+    distances[ seed ] = 0;
+    heap.push( seed, 0 );
+
+    let settled = 0;
+
+    while ( heap.size > 0 ) {
+
+        const { id, key } = heap.pop();
+
+        if ( key > distances[ id ] ) continue;
+
+        if ( ++settled % 5000 === 0 ) {
+
+            onProgress( settled / vertexCount, "Geodesic distance" );
+            yield;
+
+        }
+
+        for ( const neighbor of neighbors[ id ] ) {
+
+            const distance = key + positions[ id ].distanceTo( positions[ neighbor ] );
+
+            if ( distance < distances[ neighbor ] ) {
+
+                distances[ neighbor ] = distance;
+                heap.push( neighbor, distance );
+
+            }
+
+        }
+
+    }
+
+    return distances;
+
+}
+
+function toSparseMatrix( rows ) {
+
+    // Compressed rows of a list of Maps (column to value)
+    const size = rows.length;
+    const rowStart = new Int32Array( size + 1 );
+
+    rows.forEach( ( row, i ) => rowStart[ i + 1 ] = rowStart[ i ] + row.size );
+
+    const columns = new Int32Array( rowStart[ size ] );
+    const values = new Float64Array( rowStart[ size ] );
+    const diagonal = new Float64Array( size );
+
+    rows.forEach( ( row, i ) => {
+
+        let k = rowStart[ i ];
+
+        for ( const [ column, value ] of row ) {
+
+            columns[ k ] = column;
+            values[ k++ ] = value;
+
+            if ( column === i ) diagonal[ i ] = value;
+
+        }
+
+    } );
+
+    return { size, rowStart, columns, values, diagonal };
+
+}
+
+function multiply( matrix, vector, target ) {
+
+    const { size, rowStart, columns, values } = matrix;
+
+    for ( let i = 0; i < size; i++ ) {
+
+        let sum = 0;
+
+        for ( let k = rowStart[ i ], l = rowStart[ i + 1 ]; k < l; k++ ) sum += values[ k ] * vector[ columns[ k ] ];
+
+        target[ i ] = sum;
+
+    }
+
+    return target;
+
+}
+
+function dot( a, b ) {
+
+    let sum = 0;
+
+    for ( let i = 0, l = a.length; i < l; i++ ) sum += a[ i ] * b[ i ];
+
+    return sum;
+
+}
+
+function* solve( matrix, b, onProgress, phase ) {
+
+    // Conjugate gradients with a Jacobi preconditioner, for symmetric positive definite matrices
+    const size = matrix.size;
+    const x = new Float64Array( size );
+    const r = Float64Array.from( b );
+    const z = new Float64Array( size );
+    const Ap = new Float64Array( size );
+
+    const inverseDiagonal = matrix.diagonal.map( ( value ) => ( value > 0 ) ? 1 / value : 1 );
+
+    for ( let i = 0; i < size; i++ ) z[ i ] = r[ i ] * inverseDiagonal[ i ];
+
+    const p = Float64Array.from( z );
+    let rz = dot( r, z );
+
+    const bNorm = Math.sqrt( dot( b, b ) );
+    if ( bNorm === 0 ) return x;
+
+    for ( let iteration = 0; iteration < maxIterations; iteration++ ) {
+
+        if ( iteration % 50 === 0 ) {
+
+            onProgress( iteration / maxIterations, phase );
+            yield;
+
+        }
+
+        multiply( matrix, p, Ap );
+
+        const alpha = rz / dot( p, Ap );
+
+        for ( let i = 0; i < size; i++ ) {
+
+            x[ i ] += alpha * p[ i ];
+            r[ i ] -= alpha * Ap[ i ];
+
+        }
+
+        if ( Math.sqrt( dot( r, r ) ) < tolerance * bNorm ) break;
+
+        for ( let i = 0; i < size; i++ ) z[ i ] = r[ i ] * inverseDiagonal[ i ];
+
+        const rzNext = dot( r, z );
+        const beta = rzNext / rz;
+
+        for ( let i = 0; i < size; i++ ) p[ i ] = z[ i ] + beta * p[ i ];
+
+        rz = rzNext;
+
+    }
+
+    return x;
+
+}
+
+function* heatDistance( mesh, edges, seed, geodesicDistances, onProgress ) {
+
+    const { positions, triangles } = mesh;
+    const vertexCount = positions.length;
+    const faceCount = triangles.length / 3;
+
+    // Cotangent Laplacian (positive semidefinite), lumped mass of the vertices,
+    // and the cotangent of the angle at each corner of the faces
+    const laplacian = Array.from( { length: vertexCount }, ( value, i ) => new Map( [ [ i, 0 ] ] ) );
+    const mass = new Float64Array( vertexCount );
+    const cotangents = new Float64Array( faceCount * 3 );
+
+    const add = ( i, j, value ) => laplacian[ i ].set( j, ( laplacian[ i ].get( j ) || 0 ) + value );
+
+    const e1 = new Vector3(), e2 = new Vector3(), cross = new Vector3();
+
+    for ( let f = 0; f < faceCount; f++ ) {
+
+        for ( let c = 0; c < 3; c++ ) {
+
+            const i = triangles[ f * 3 + c ];
+            const j = triangles[ f * 3 + ( c + 1 ) % 3 ];
+            const k = triangles[ f * 3 + ( c + 2 ) % 3 ];
+
+            e1.subVectors( positions[ j ], positions[ i ] );
+            e2.subVectors( positions[ k ], positions[ i ] );
+
+            const area = cross.crossVectors( e1, e2 ).length() / 2;
+
+            // Degenerate faces do not contribute
+            if ( area < 1e-20 ) continue;
+
+            const cotangent = e1.dot( e2 ) / ( area * 2 );
+            cotangents[ f * 3 + c ] = cotangent;
+
+            // The angle at i weighs the opposite edge
+            add( j, k, -cotangent / 2 );
+            add( k, j, -cotangent / 2 );
+            add( j, j, cotangent / 2 );
+            add( k, k, cotangent / 2 );
+
+            mass[ i ] += area / 3;
+
+        }
+
+    }
+
+    // 1. Heat diffused from the seed: ( M + t L ) u = δ. The time is the squared mean edge length, or
+    // longer for large meshes, such that the heat far from the seed is not lost in the precision of the solver.
+    let range = 0;
+    geodesicDistances.forEach( ( value ) => { if ( Number.isFinite( value ) ) range = Math.max( range, value ) } );
+
+    const time = Math.max( getMeanEdgeLength( mesh, edges ) ** 2, ( range / 16 ) ** 2 );
+
+    const diffusion = laplacian.map( ( row, i ) => new Map( [ ...row ].map( ( [ j, value ] ) => [ j, time * value + ( ( i === j ) ? mass[ i ] : 0 ) ] ) ) );
+
+    const delta = new Float64Array( vertexCount );
+    delta[ seed ] = 1;
+
+    const heat = yield* solve( toSparseMatrix( diffusion ), delta, onProgress, "Diffusing heat" );
+
+    // 2. The normalized gradient of the heat points towards the seed, its divergence is accumulated per vertex
+    const divergence = new Float64Array( vertexCount );
+    const normal = new Vector3(), gradient = new Vector3(), edge = new Vector3();
+
+    for ( let f = 0; f < faceCount; f++ ) {
+
+        const ids = [ triangles[ f * 3 ], triangles[ f * 3 + 1 ], triangles[ f * 3 + 2 ] ];
+        const [ a, b, c ] = ids.map( ( id ) => positions[ id ] );
+
+        normal.crossVectors( e1.subVectors( b, a ), e2.subVectors( c, a ) );
+
+        const doubleArea = normal.length();
+        if ( doubleArea < 1e-20 ) continue;
+
+        normal.divideScalar( doubleArea );
+        gradient.set( 0, 0, 0 );
+
+        for ( let corner = 0; corner < 3; corner++ ) {
+
+            // The edge opposite the corner, counter-clockwise
+            edge.subVectors( positions[ ids[ ( corner + 2 ) % 3 ] ], positions[ ids[ ( corner + 1 ) % 3 ] ] );
+            gradient.addScaledVector( cross.crossVectors( normal, edge ), heat[ ids[ corner ] ] );
+
+        }
+
+        if ( gradient.lengthSq() === 0 ) continue;
+
+        const direction = gradient.normalize().negate();
+
+        for ( let corner = 0; corner < 3; corner++ ) {
+
+            const i = ids[ corner ];
+            const j = ids[ ( corner + 1 ) % 3 ];
+            const k = ids[ ( corner + 2 ) % 3 ];
+
+            const toJ = e1.subVectors( positions[ j ], positions[ i ] ).dot( direction );
+            const toK = e2.subVectors( positions[ k ], positions[ i ] ).dot( direction );
+
+            divergence[ i ] += ( cotangents[ f * 3 + ( corner + 2 ) % 3 ] * toJ + cotangents[ f * 3 + ( corner + 1 ) % 3 ] * toK ) / 2;
+
+        }
+
+    }
+
+    // 3. The distance has the direction as its gradient: L φ = -div. L is singular, a small
+    // multiple of the mass matrix fixes the free constant, which is removed below.
+    let totalMass = 0;
+    mass.forEach( ( value ) => totalMass += value );
+
+    const regularization = 1e-6 / totalMass;
+    const poisson = laplacian.map( ( row, i ) => new Map( [ ...row ].map( ( [ j, value ] ) => [ j, value + ( ( i === j ) ? regularization * mass[ i ] : 0 ) ] ) ) );
+
+    const distances = yield* solve( toSparseMatrix( poisson ), divergence.map( ( value ) => -value ), onProgress, "Integrating the distance" );
+
+    // Distances from the seed, positive away from it
+    const reachable = geodesicDistances.map( Number.isFinite );
+    const origin = distances[ seed ];
+    let sum = 0;
+
+    distances.forEach( ( value, i ) => { if ( reachable[ i ] ) sum += value - origin } );
+
+    const sign = ( sum < 0 ) ? -1 : 1;
+    let minimum = Infinity;
+
+    distances.forEach( ( value, i ) => {
+
+        distances[ i ] = ( reachable[ i ] ) ? sign * ( value - origin ) : Infinity;
+        if ( distances[ i ] < minimum ) minimum = distances[ i ];
+
+    } );
+
+    return distances.map( ( value ) => value - minimum );
+
+}
+
+function* contourSearch( data, settings, process ) {
+
+    const mesh = indexMesh( data.faces );
+
+    if ( mesh.positions.length < 3 ) {
+
+        process.warn( "Insufficient geometry data found." );
+        return [];
+
+    }
+
+    const onProgress = ( fraction, phase ) => process.reportProgress( fraction, phase );
+
+    let values;
+
+    if ( settings.field === "Height" ) {
+
+        const axis = axes.indexOf( settings.axis );
+        values = Float64Array.from( mesh.positions, ( position ) => position.getComponent( axis ) );
+
+    } else {
+
+        const edges = getEdges( mesh );
+        const seed = findSeed( mesh, settings, process );
+
+        values = yield* geodesicDistance( mesh, getVertexNeighbors( mesh, edges ), seed, onProgress );
+
+        if ( settings.field === "Heat method distance" ) {
+
+            values = yield* heatDistance( mesh, edges, seed, values, onProgress );
+
+        }
+
+    }
+
+    // The filament diameter is in millimeters
+    const spacing = process.penProfile.diameter / 1000 * settings.spacing;
+
+    let minimum = Infinity, maximum = -Infinity;
+
+    values.forEach( ( value ) => {
+
+        if ( !Number.isFinite( value ) ) return;
+
+        minimum = Math.min( minimum, value );
+        maximum = Math.max( maximum, value );
+
+    } );
+
+    const levels = [];
+
+    for ( let level = minimum + spacing / 2; level < maximum; level += spacing ) levels.push( level );
+
+    onProgress( 1, "Tracing the contour lines" );
+    yield;
+
+    const lines = traceIsoLines( mesh, values, levels ).flat();
+
+    console.log( "Contours: %d lines on %d levels, %s mm apart", lines.length, levels.length, ( spacing * 1000 ).toFixed( 2 ) );
+
+    return lines;
+
+}
+
+registerSearchAlgorithm( 'Contour lines', {
+    usesPenProfile: true,
+    settings: {
+        field: { name: "Field", value: "Height", options: [ "Height", "Geodesic distance", "Heat method distance" ] },
+        axis: { name: "Axis", value: "Y", options: axes },
+        seed: { name: "Seed", value: "Lowest point", options: [ "Lowest point", "Highest point", "Picked point" ] },
+        seedPoint: { name: "Picked point (mm)", value: "", pick: true },
+        spacing: { name: "Spacing (diameters)", value: 1, min: 1, max: 10, step: .5 }
+    },
+    search: contourSearch
+} );
+
+export { contourSearch }
\ No newline at end of file
@@ -0,0 +1,644 @@
+/*
+Curvature Search
+- Paths along the principal curvature directions, which follow the shape of organic models
+- The curvature tensor of each vertex is estimated from the bending of the mesh at its edges (Cohen-Steiner
+  and Morvan 2003): an edge adds its dihedral angle times its length, in its own direction. The tensors
+  are smoothed with those of the neighboring vertices.
+- Streamlines of the minimum or maximum curvature direction are traced over the faces. Where the surface
+  curves the same in all directions (flat or spherical), the lines continue straight.
+- Streamlines are seeded for even spacing (Jobard and Lefer 1997): new lines start at the separation
+  distance beside the existing lines, and stop when they get closer than half of it to another line.
+  Areas that are not reached are seeded from their faces.
+- The separation is the filament diameter times a factor
+*/
+
+import { Vector3 } from 'three';
+import { registerSearchAlgorithm } from '../SearchAlgorithms.js';
+import { indexMesh, getEdges, getVertexNeighbors, getMeanEdgeLength } from './SearchMesh.js';
+
+const smoothingPasses = 2;
+
+// Lines stop closer than this fraction of the separation to other lines
+const testRatio = .5;
+
+// Below this fraction of the mean anisotropy, the curvature is considered the same in all directions
+const isotropyRatio = .05;
+
+const maxSteps = 100000;
+
+const _v0 = new Vector3();
+const _v1 = new Vector3();
+const _v2 = new Vector3();
+
+class LineGrid {
+
+    // Points of the streamlines in a uniform grid, to find the lines near a point
+    constructor( cellSize ) {
+
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.lineKeys = new Map();
+
+    }
+
+    getKey( x, y, z ) {
+
+        const size = this.cellSize;
+
+        return Math.floor( x / size ) + "," + Math.floor( y / size ) + "," + Math.floor( z / size );
+
+    }
+
+    add( point, line, arc ) {
+
+        const key = this.getKey( point.x, point.y, point.z );
+
+        let cell = this.cells.get( key );
+        if ( !cell ) this.cells.set( key, cell = [] );
+
+        cell.push( { point, line, arc } );
+
+        let keys = this.lineKeys.get( line );
+        if ( !keys ) this.lineKeys.set( line, keys = new Set() );
+
+        keys.add( key );
+
+    }
+
+    remove( line ) {
+
+        for ( const key of this.lineKeys.get( line ) || [] ) {
+
+            this.cells.set( key, this.cells.get( key ).filter( ( entry ) => entry.line !== line ) );
+
+        }
+
+        this.lineKeys.delete( line );
+
+    }
+
+    findNear( point, distance, ignore = null ) {
+
+        // Returns an entry within distance of point (the cell size at most), or null
+        const size = this.cellSize;
+        const ci = Math.floor( point.x / size ), cj = Math.floor( point.y / size ), ck = Math.floor( point.z / size );
+        const distanceSqrd = distance * distance;
+
+        for ( let i = ci - 1; i <= ci + 1; i++ ) {
+
+            for ( let j = cj - 1; j <= cj + 1; j++ ) {
+
+                for ( let k = ck - 1; k <= ck + 1; k++ ) {
+
+                    const cell = this.cells.get( i + "," + j + "," + k );
+                    if ( !cell ) continue;
+
+                    for ( const entry of cell ) {
+
+                        if ( entry.point.distanceToSquared( point ) < distanceSqrd && !( ignore && ignore( entry ) ) ) return entry;
+
+                    }
+
+                }
+
+            }
+
+        }
+
+        return null;
+
+    }
+
+}
+
+class SurfaceField {
+
+    // Principal curvature directions of the vertices, and walks over the faces along them
+    constructor( mesh ) {
+
+        const { positions, triangles } = mesh;
+        const faceCount = triangles.length / 3;
+
+        this.mesh = mesh;
+        this.faceCount = faceCount;
+
+        this.faceNormals = [];
+        this.faceCenters = [];
+
+        for ( let f = 0; f < faceCount; f++ ) {
+
+            const [ a, b, c ] = this.getCorners( f );
+
+            this.faceNormals.push( new Vector3().crossVectors( _v0.subVectors( b, a ), _v1.subVectors( c, a ) ).normalize() );
+            this.faceCenters.push( new Vector3().add( a ).add( b ).add( c ).divideScalar( 3 ) );
+
+        }
+
+        // The face across each edge, edge j runs from corner j to corner j + 1
+        const edgeFaces = new Map();
+        const vertexCount = positions.length;
+
+        this.faceNeighbors = new Int32Array( faceCount * 3 ).fill( -1 );
+
+        for ( let f = 0; f < faceCount; f++ ) {
+
+            for ( let j = 0; j < 3; j++ ) {
+
+                const a = triangles[ f * 3 + j ], b = triangles[ f * 3 + ( j + 1 ) % 3 ];
+                const key = Math.min( a, b ) * vertexCount + Math.max( a, b );
+
+                const other = edgeFaces.get( key );
+
+                if ( other === undefined ) {
+
+                    edgeFaces.set( key, f * 3 + j );
+
+                } else {
+
+                    this.faceNeighbors[ f * 3 + j ] = Math.floor( other / 3 );
+                    this.faceNeighbors[ other ] = f;
+
+                }
+
+            }
+
+        }
+
+        this.edgeFaces = edgeFaces;
+
+    }
+
+    getCorners( face ) {
+
+        const { positions, triangles } = this.mesh;
+
+        return [ positions[ triangles[ face * 3 ] ], positions[ triangles[ face * 3 + 1 ] ], positions[ triangles[ face * 3 + 2 ] ] ];
+
+    }
+
+    computeDirections( edges, neighbors ) {
+
+        const { positions, triangles } = this.mesh;
+        const vertexCount = positions.length;
+        const faceNormals = this.faceNormals;
+
+        // Tensors as xx, xy, xz, yy, yz, zz
+        let tensors = new Float64Array( vertexCount * 6 );
+        const edge = new Vector3();
+
+        for ( const [ a, b ] of edges ) {
+
+            const faces = this.getEdgeFaces( a, b );
+            if ( faces.length !== 2 ) continue;
+
+            const [ f1, f2 ] = faces;
+            const n1 = faceNormals[ f1 ], n2 = faceNormals[ f2 ];
+
+            // The dihedral angle is positive where the surface is convex
+            const angle = Math.atan2( _v0.crossVectors( n1, n2 ).length(), n1.dot( n2 ) );
+            const convex = _v1.subVectors( n2, n1 ).dot( _v2.subVectors( this.faceCenters[ f2 ], this.faceCenters[ f1 ] ) ) >= 0;
+
+            edge.subVectors( positions[ b ], positions[ a ] );
+
+            const length = edge.length();
+            if ( length === 0 ) continue;
+
+            edge.divideScalar( length );
+
+            const weight = ( ( convex ) ? angle : -angle ) * length;
+            const terms = [ edge.x * edge.x, edge.x * edge.y, edge.x * edge.z, edge.y * edge.y, edge.y * edge.z, edge.z * edge.z ];
+
+            for ( const vertex of [ a, b ] ) {
+
+                for ( let t = 0; t < 6; t++ ) tensors[ vertex * 6 + t ] += weight * terms[ t ];
+
+            }
+
+        }
+
+        for ( let pass = 0; pass < smoothingPasses; pass++ ) {
+
+            const smoothed = new Float64Array( tensors );
+
+            for ( let v = 0; v < vertexCount; v++ ) {
+
+                for ( const u of neighbors[ v ] ) {
+
+                    for ( let t = 0; t < 6; t++ ) smoothed[ v * 6 + t ] += tensors[ u * 6 + t ];
+
+                }
+
+                for ( let t = 0; t < 6; t++ ) smoothed[ v * 6 + t ] /= neighbors[ v ].length + 1;
+
+            }
+
+            tensors = smoothed;
+
+        }
+
+        // Vertex normals, weighted by the area of the faces
+        const normals = positions.map( () => new Vector3() );
+
+        for ( let f = 0; f < this.faceCount; f++ ) {
+
+            const [ a, b, c ] = this.getCorners( f );
+            const weighted = _v2.crossVectors( _v0.subVectors( b, a ), _v1.subVectors( c, a ) );
+
+            for ( let j = 0; j < 3; j++ ) normals[ triangles[ f * 3 + j ] ].add( weighted );
+
+        }
+
+        // The eigenvector of the largest eigenvalue in the tangent plane is the direction of minimum curvature
+        this.minimumDirections = [];
+        this.maximumDirections = [];
+        this.anisotropy = new Float64Array( vertexCount );
+
+        const t1 = new Vector3(), t2 = new Vector3(), Tt = new Vector3();
+
+        const multiply = ( v, vector, target ) => {
+
+            const m = tensors;
+            const i = v * 6;
+
+            return target.set(
+                m[ i ] * vector.x + m[ i + 1 ] * vector.y + m[ i + 2 ] * vector.z,
+                m[ i + 1 ] * vector.x + m[ i + 3 ] * vector.y + m[ i + 4 ] * vector.z,
+                m[ i + 2 ] * vector.x + m[ i + 4 ] * vector.y + m[ i + 5 ] * vector.z
+            );
+
+        };
+
+        for ( let v = 0; v < vertexCount; v++ ) {
+
+            const normal = normals[ v ].normalize();
+
+            // Tangent basis, from the axis most perpendicular to the normal
+            const ax = Math.abs( normal.x ), ay = Math.abs( normal.y ), az = Math.abs( normal.z );
+            const axis = ( ax <= ay && ax <= az ) ? _v0.set( 1, 0, 0 ) : ( ( ay <= az ) ? _v0.set( 0, 1, 0 ) : _v0.set( 0, 0, 1 ) );
+
+            t1.crossVectors( normal, axis ).normalize();
+            t2.crossVectors( normal, t1 );
+
+            const m11 = t1.dot( multiply( v, t1, Tt ) );
+            const m12 = t1.dot( multiply( v, t2, Tt ) );
+            const m22 = t2.dot( multiply( v, t2, Tt ) );
+
+            const theta = Math.atan2( 2 * m12, m11 - m22 ) / 2;
+            const minimum = t1.clone().multiplyScalar( Math.cos( theta ) ).addScaledVector( t2, Math.sin( theta ) );
+
+            this.minimumDirections.push( minimum );
+            this.maximumDirections.push( new Vector3().crossVectors( normal, minimum ) );
+            this.anisotropy[ v ] = Math.sqrt( ( m11 - m22 ) ** 2 + 4 * m12 * m12 );
+
+        }
+
+        let mean = 0;
+        this.anisotropy.forEach( ( value ) => mean += value );
+
+        this.isotropyLimit = isotropyRatio * mean / Math.max( vertexCount, 1 );
+
+    }
+
+    getEdgeFaces( a, b ) {
+
+        const vertexCount = this.mesh.positions.length;
+        const first = this.edgeFaces.get( Math.min( a, b ) * vertexCount + Math.max( a, b ) );
+
+        if ( first === undefined ) return [];
+
+        const face = Math.floor( first / 3 );
+        const other = this.faceNeighbors[ first ];
+
+        return ( other < 0 ) ? [ face ] : [ face, other ];
+
+    }
+
+    getBarycentric( face, point, target ) {
+
+        const [ a, b, c ] = this.getCorners( face );
+
+        _v0.subVectors( b, a );
+        _v1.subVectors( c, a );
+        _v2.subVectors( point, a );
+
+        const d00 = _v0.dot( _v0 ), d01 = _v0.dot( _v1 ), d11 = _v1.dot( _v1 );
+        const d20 = _v2.dot( _v0 ), d21 = _v2.dot( _v1 );
+        const denominator = d00 * d11 - d01 * d01;
+
+        // Degenerate faces have no coordinates
+        if ( !( denominator > 0 ) ) return null;
+
+        const v = ( d11 * d20 - d01 * d21 ) / denominator;
+        const w = ( d00 * d21 - d01 * d20 ) / denominator;
+
+        return target.set( 1 - v - w, v, w );
+
+    }
+
+    getDirection( face, point, reference, directions ) {
+
+        // Direction of the field at a point of a face, interpolated from its vertices, in the plane of the face.
+        // The field has no sign, the vertex directions are aligned with the reference.
+        const triangles = this.mesh.triangles;
+        const weights = ( this.getBarycentric( face, point, new Vector3() ) || new Vector3( 1, 1, 1 ) ).toArray();
+        const direction = new Vector3();
+        let strength = 0;
+
+        for ( let j = 0; j < 3; j++ ) {
+
+            const vertex = triangles[ face * 3 + j ];
+            const vertexDirection = directions[ vertex ];
+            const weight = Math.max( weights[ j ], 0 ) * this.anisotropy[ vertex ];
+
+            if ( reference === null ) reference = vertexDirection;
+
+            direction.addScaledVector( vertexDirection, ( vertexDirection.dot( reference ) < 0 ) ? -weight : weight );
+            strength += weight;
+
+        }
+
+        // Without a clear direction, continue straight
+        if ( strength < this.isotropyLimit || direction.length() < strength * .1 ) direction.copy( reference );
+
+        const normal = this.faceNormals[ face ];
+        direction.addScaledVector( normal, -direction.dot( normal ) );
+
+        if ( direction.lengthSq() === 0 ) return null;
+
+        return direction.normalize();
+
+    }
+
+    advance( face, point, direction, length ) {
+
+        // Moves over the faces from point, along direction. Returns { face, point }, or null at a boundary.
+        point = point.clone();
+
+        const start = new Vector3(), end = new Vector3(), target = new Vector3();
+        const step = new Vector3();
+
+        for ( let crossings = 0; crossings < 8 && length > 0; crossings++ ) {
+
+            const normal = this.faceNormals[ face ];
+
+            step.copy( direction ).addScaledVector( normal, -direction.dot( normal ) );
+            if ( step.lengthSq() === 0 ) return null;
+
+            step.normalize();
+            target.copy( point ).addScaledVector( step, length );
+
+            if ( !this.getBarycentric( face, point, start ) ) return null;
+
+            this.getBarycentric( face, target, end );
+
+            if ( Math.min( end.x, end.y, end.z ) >= -1e-9 ) return { face, point: target.clone() };
+
+            // Leave the face at the edge opposite the corner whose coordinate reaches zero first
+            const b0 = start.toArray(), b1 = end.toArray();
+            let t = 1, corner = -1;
+
+            for ( let i = 0; i < 3; i++ ) {
+
+                if ( b1[ i ] >= 0 ) continue;
+
+                const ti = Math.max( b0[ i ], 0 ) / ( Math.max( b0[ i ], 0 ) - b1[ i ] );
+
+                if ( ti < t ) {
+
+                    t = ti;
+                    corner = i;
+
+                }
+
+            }
+
+            point.addScaledVector( step, length * t );
+            length *= 1 - t;
+
+            const next = this.faceNeighbors[ face * 3 + ( corner + 1 ) % 3 ];
+            if ( next < 0 ) return null;
+
+            face = next;
+
+        }
+
+        return { face, point };
+
+    }
+
+}
+
+function* curvatureSearch( data, settings, process ) {
+
+    const mesh = indexMesh( data.faces );
+
+    if ( data.faces.length < 2 ) {
+
+        process.warn( "Insufficient geometry data found." );
+        return [];
+
+    }
+
+    const edges = getEdges( mesh );
+    const field = new SurfaceField( mesh );
+
+    process.reportProgress( 0, "Estimating the curvature" );
+    yield;
+
+    field.computeDirections( edges, getVertexNeighbors( mesh, edges ) );
+
+    const maximum = settings.direction === "Maximum curvature";
+    const directions = ( maximum ) ? field.maximumDirections : field.minimumDirections;
+    const perpendiculars = ( maximum ) ? field.minimumDirections : field.maximumDirections;
+
+    // The filament diameter is in millimeters
+    const separation = process.penProfile.diameter / 1000 * settings.separation;
+    const stopDistance = separation * testRatio;
+    const step = Math.min( separation / 2, getMeanEdgeLength( mesh, edges ) / 2 );
+
+    const grid = new LineGrid( separation );
+    const lines = [];
+    let lineCount = 0;
+
+    function traceHalf( face, point, reference, line, sign ) {
+
+        // Follows the field from the seed, until a boundary, another line or the start of this line
+        const points = [], faces = [];
+        let arc = 0, closed = false;
+        let direction = reference;
+
+        for ( let k = 0; k < maxSteps; k++ ) {
+
+            direction = field.getDirection( face, point, direction, directions );
+            if ( !direction ) break;
+
+            const next = field.advance( face, point, direction, step );
+            if ( !next ) break;
+
+            arc += step;
+
+            // Points of this line are ignored until the line has moved away from them
+            const near = grid.findNear( next.point, stopDistance, ( entry ) => entry.line === line && Math.abs( entry.arc - sign * arc ) < separation * 3 );
+
+            if ( near ) {
+
+                closed = near.line === line && Math.abs( near.arc ) < separation;
+                break;
+
+            }
+
+            direction = _v0.subVectors( next.point, point ).normalize().clone();
+
+            face = next.face;
+            point = next.point;
+
+            points.push( point );
+            faces.push( face );
+            grid.add( point, line, sign * arc );
+
+        }
+
+        return { points, faces, closed, length: arc };
+
+    }
+
+    function traceLine( face, point ) {
+
+        // Returns the line from the seed in both directions, or null if it is too short
+        const line = lineCount++;
+        const direction = field.getDirection( face, point, null, directions );
+
+        if ( !direction ) return null;
+
+        grid.add( point, line, 0 );
+
+        const forward = traceHalf( face, point, direction, line, 1 );
+        let points, faces;
+
+        if ( forward.closed ) {
+
+            points = [ point, ...forward.points, point.clone() ];
+            faces = [ face, ...forward.faces, face ];
+
+        } else {
+
+            const backward = traceHalf( face, point, direction.clone().negate(), line, -1 );
+
+            points = [ ...backward.points.reverse(), point, ...forward.points ];
+            faces = [ ...backward.faces.reverse(), face, ...forward.faces ];
+
+            if ( forward.length + backward.length < separation * 2 ) {
+
+                grid.remove( line );
+                return null;
+
+            }
+
+        }
+
+        const result = { points, faces };
+        lines.push( result );
+
+        return result;
+
+    }
+
+    function isFree( point ) {
+
+        return grid.findNear( point, separation * .99 ) === null;
+
+    }
+
+    function* seedBeside( line ) {
+
+        // New lines at the separation distance on both sides of the line
+        const queue = [ line ];
+
+        while ( queue.length > 0 ) {
+
+            const { points, faces } = queue.shift();
+            const interval = Math.max( Math.round( separation / step ), 1 );
+
+            for ( let i = 0; i < points.length; i += interval ) {
+
+                const tangent = new Vector3().subVectors( points[ Math.min( i + 1, points.length - 1 ) ], points[ Math.max( i - 1, 0 ) ] );
+
+                for ( const side of [ 1, -1 ] ) {
+
+                    let face = faces[ i ];
+                    let point = points[ i ];
+                    let direction = new Vector3().crossVectors( field.faceNormals[ face ], tangent ).multiplyScalar( side );
+
+                    for ( let walked = 0; walked < separation && face !== null; walked += step ) {
+
+                        direction = field.getDirection( face, point, direction, perpendiculars );
+
+                        const next = ( direction ) ? field.advance( face, point, direction, Math.min( step, separation - walked ) ) : null;
+
+                        if ( !next ) {
+
+                            face = null;
+                            break;
+
+                        }
+
+                        face = next.face;
+                        point = next.point;
+
+                    }
+
+                    if ( face === null || !isFree( point ) ) continue;
+
+                    const seeded = traceLine( face, point );
+                    if ( seeded ) queue.push( seeded );
+
+                }
+
+            }
+
+            yield;
+
+        }
+
+    }
+
+    // Seed from the faces that are not near a line yet, in order
+    for ( let f = 0; f < field.faceCount; f++ ) {
+
+        if ( f % 500 === 0 ) {
+
+            process.reportProgress( f / field.faceCount, "Tracing curvature lines" );
+            yield;
+
+        }
+
+        const center = field.faceCenters[ f ];
+
+        if ( !isFree( center ) ) continue;
+
+        const line = traceLine( f, center.clone() );
+        if ( line ) yield* seedBeside( line );
+
+    }
+
+    const paths = lines.map( ( line ) => line.points );
+
+    let length = 0;
+    paths.forEach( ( path ) => { for ( let i = 1; i < path.length; i++ ) length += path[ i ].distanceTo( path[ i - 1 ] ) } );
+
+    console.log( "Curvature lines: %d lines, %s m, %s mm apart", paths.length, length.toFixed( 2 ), ( separation * 1000 ).toFixed( 2 ) );
+
+    return paths;
+
+}
+
+registerSearchAlgorithm( 'Curvature lines', {
+    usesPenProfile: true,
+    settings: {
+        direction: { name: "Direction", value: "Minimum curvature", options: [ "Minimum curvature", "Maximum curvature" ] },
+        separation: { name: "Separation (diameters)", value: 3, min: 1, max: 20, step: .5 }
+    },
+    search: curvatureSearch
+} );
+
+export { curvatureSearch }
\ No newline at end of file
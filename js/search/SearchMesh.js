@@ -0,0 +1,229 @@
+/*
+Search Mesh
+- Indexed vertices and triangles of the faces of a GeometryModifier, for the search modes that work
+  on the vertices and edges of the mesh rather than on the faces
+- Iso-lines of a scalar field over the vertices, chained into polylines
+*/
+
+function indexMesh( faces ) {
+
+    // positions are the Vector3 of the vertices (not copied), triangles the vertex indices of the faces
+    const vertexIds = new Map();
+    const positions = [];
+    const triangles = new Int32Array( faces.length * 3 );
+
+    const getVertexId = ( vertex ) => {
+
+        if ( !vertexIds.has( vertex ) ) {
+
+            vertexIds.set( vertex, positions.length );
+            positions.push( vertex.position );
+
+        }
+
+        return vertexIds.get( vertex );
+
+    };
+
+    faces.forEach( ( face, i ) => {
+
+        triangles[ i * 3 ] = getVertexId( face.v1 );
+        triangles[ i * 3 + 1 ] = getVertexId( face.v2 );
+        triangles[ i * 3 + 2 ] = getVertexId( face.v3 );
+
+    } );
+
+    return { positions, triangles };
+
+}
+
+function getEdges( mesh ) {
+
+    // Unique edges as [ a, b ], with the lower vertex index first
+    const { positions, triangles } = mesh;
+    const vertexCount = positions.length;
+    const keys = new Set();
+    const edges = [];
+
+    for ( let i = 0, l = triangles.length; i < l; i += 3 ) {
+
+        for ( let j = 0; j < 3; j++ ) {
+
+            const a = Math.min( triangles[ i + j ], triangles[ i + ( j + 1 ) % 3 ] );
+            const b = Math.max( triangles[ i + j ], triangles[ i + ( j + 1 ) % 3 ] );
+            const key = a * vertexCount + b;
+
+            if ( a === b || keys.has( key ) ) continue;
+
+            keys.add( key );
+            edges.push( [ a, b ] );
+
+        }
+
+    }
+
+    return edges;
+
+}
+
+function getVertexNeighbors( mesh, edges = getEdges( mesh ) ) {
+
+    const neighbors = Array.from( { length: mesh.positions.length }, () => [] );
+
+    for ( const [ a, b ] of edges ) {
+
+        neighbors[ a ].push( b );
+        neighbors[ b ].push( a );
+
+    }
+
+    return neighbors;
+
+}
+
+function getMeanEdgeLength( mesh, edges = getEdges( mesh ) ) {
+
+    const positions = mesh.positions;
+    let length = 0;
+
+    for ( const [ a, b ] of edges ) length += positions[ a ].distanceTo( positions[ b ] );
+
+    return ( edges.length > 0 ) ? length / edges.length : 0;
+
+}
+
+function traceIsoLines( mesh, values, levels ) {
+
+    // Returns the iso-lines of each level (ascending), as polylines of Vector3.
+    // Closed lines end with their first point. Faces with a vertex without a (finite) value are skipped.
+    const { positions, triangles } = mesh;
+    const vertexCount = positions.length;
+
+    // Crossings of the edges with the levels are the nodes of the lines, linked by the faces
+    const nodeIds = new Map();
+    const nodes = [];
+
+    function getNode( a, b, level ) {
+
+        if ( a > b ) [ a, b ] = [ b, a ];
+
+        const key = ( a * vertexCount + b ) + ":" + level;
+        let id = nodeIds.get( key );
+
+        if ( id === undefined ) {
+
+            const t = ( levels[ level ] - values[ a ] ) / ( values[ b ] - values[ a ] );
+
+            id = nodes.length;
+            nodeIds.set( key, id );
+            nodes.push( { point: positions[ a ].clone().lerp( positions[ b ], t ), level, links: [] } );
+
+        }
+
+        return id;
+
+    }
+
+    function firstLevelAbove( value ) {
+
+        let low = 0, high = levels.length;
+
+        while ( low < high ) {
+
+            const mid = ( low + high ) >>> 1;
+
+            if ( levels[ mid ] <= value ) low = mid + 1;
+            else high = mid;
+
+        }
+
+        return low;
+
+    }
+
+    for ( let i = 0, l = triangles.length; i < l; i += 3 ) {
+
+        const ids = [ triangles[ i ], triangles[ i + 1 ], triangles[ i + 2 ] ];
+        const faceValues = ids.map( ( id ) => values[ id ] );
+
+        if ( !faceValues.every( Number.isFinite ) ) continue;
+
+        // Vertices at or above a level are on its upper side
+        const start = firstLevelAbove( Math.min( ...faceValues ) );
+        const end = firstLevelAbove( Math.max( ...faceValues ) );
+
+        for ( let level = start; level < end; level++ ) {
+
+            const crossings = [];
+
+            for ( let j = 0; j < 3; j++ ) {
+
+                const a = ids[ j ], b = ids[ ( j + 1 ) % 3 ];
+
+                if ( ( values[ a ] >= levels[ level ] ) !== ( values[ b ] >= levels[ level ] ) ) crossings.push( getNode( a, b, level ) );
+
+            }
+
+            if ( crossings.length !== 2 ) continue;
+
+            nodes[ crossings[ 0 ] ].links.push( crossings[ 1 ] );
+            nodes[ crossings[ 1 ] ].links.push( crossings[ 0 ] );
+
+        }
+
+    }
+
+    // Chain the nodes, open lines from their ends first, then the closed lines
+    const lines = levels.map( () => [] );
+    const visited = new Uint8Array( nodes.length );
+
+    function chain( start ) {
+
+        const line = [ nodes[ start ].point ];
+        let previous = -1, current = start;
+
+        visited[ start ] = 1;
+
+        while ( true ) {
+
+            const next = nodes[ current ].links.find( ( link ) => link !== previous && ( !visited[ link ] || link === start ) );
+
+            if ( next === undefined ) break;
+
+            if ( next === start ) {
+
+                line.push( nodes[ start ].point.clone() );
+                break;
+
+            }
+
+            line.push( nodes[ next ].point );
+
+            visited[ next ] = 1;
+            previous = current;
+            current = next;
+
+        }
+
+        return line;
+
+    }
+
+    for ( const pass of [ true, false ] ) {
+
+        nodes.forEach( ( node, id ) => {
+
+            if ( visited[ id ] || ( pass && node.links.length !== 1 ) ) return;
+
+            const line = chain( id );
+            if ( line.length > 1 ) lines[ node.level ].push( line );
+
+        } );
+
+    }
+
+    return lines;
+
+}
+
+export { indexMesh, getEdges, getVertexNeighbors, getMeanEdgeLength, traceIsoLines }
\ No newline at end of file
@@ -0,0 +1,173 @@
+/*
+Slice Search
+- Builds the sculpture in layers, like a manual 3D printer: the mesh is intersected with parallel
+  planes along an axis, one filament diameter apart
+- The intersections of each plane are chained into loops. Loops run counter-clockwise seen from the
+  top, and start close to the start of the loop below them, such that the seams line up.
+- Layers are ordered bottom-up, and the loops of a layer by proximity
+- Lines that do not close (holes in the mesh) are closed when their ends are within a diameter
+*/
+
+import { registerSearchAlgorithm } from '../SearchAlgorithms.js';
+import { indexMesh, traceIsoLines } from './SearchMesh.js';
+
+const axes = [ "X", "Y", "Z" ];
+
+function isClosed( line ) {
+
+    return line.length > 2 && line[ 0 ].equals( line[ line.length - 1 ] );
+
+}
+
+function getSignedArea( loop, axis ) {
+
+    // Area of the loop projected on the plane of the layer, positive when counter-clockwise seen from the top
+    const u = ( axis + 1 ) % 3;
+    const v = ( axis + 2 ) % 3;
+    let area = 0;
+
+    for ( let i = 0, l = loop.length - 1; i < l; i++ ) {
+
+        area += loop[ i ].getComponent( u ) * loop[ i + 1 ].getComponent( v ) - loop[ i + 1 ].getComponent( u ) * loop[ i ].getComponent( v );
+
+    }
+
+    return area / 2;
+
+}
+
+function startNear( loop, point ) {
+
+    // Rotates a closed loop to start at its point nearest to point
+    const points = loop.slice( 0, -1 );
+    let nearest = 0;
+
+    points.forEach( ( p, i ) => {
+
+        if ( p.distanceToSquared( point ) < points[ nearest ].distanceToSquared( point ) ) nearest = i;
+
+    } );
+
+    const rotated = points.slice( nearest ).concat( points.slice( 0, nearest ) );
+    rotated.push( rotated[ 0 ].clone() );
+
+    return rotated;
+
+}
+
+function* sliceSearch( data, settings, process ) {
+
+    const mesh = indexMesh( data.faces );
+
+    if ( mesh.positions.length < 3 ) {
+
+        process.warn( "Insufficient geometry data found." );
+        return [];
+
+    }
+
+    const axis = axes.indexOf( settings.axis );
+    const heights = Float64Array.from( mesh.positions, ( position ) => position.getComponent( axis ) );
+
+    let bottom = Infinity, top = -Infinity;
+
+    heights.forEach( ( height ) => {
+
+        bottom = Math.min( bottom, height );
+        top = Math.max( top, height );
+
+    } );
+
+    // One layer per filament diameter (in millimeters), in the middle of its thickness
+    const layerHeight = process.penProfile.diameter / 1000;
+    const levels = [];
+
+    for ( let level = bottom + layerHeight / 2; level < top; level += layerHeight ) levels.push( level );
+
+    process.reportProgress( 0, "Slicing" );
+    yield;
+
+    const layers = traceIsoLines( mesh, heights, levels );
+
+    const paths = [];
+    let openCount = 0;
+    let seam = null;
+
+    for ( let i = 0, l = layers.length; i < l; i++ ) {
+
+        if ( i % 20 === 0 ) {
+
+            process.reportProgress( i / l, "Ordering the loops" );
+            yield;
+
+        }
+
+        let lines = layers[ i ].map( ( line ) => {
+
+            if ( !isClosed( line ) && line.length > 2 && line[ 0 ].distanceTo( line[ line.length - 1 ] ) < layerHeight ) {
+
+                line = line.concat( [ line[ 0 ].clone() ] );
+
+            }
+
+            if ( !isClosed( line ) ) {
+
+                openCount++;
+                return line;
+
+            }
+
+            return ( getSignedArea( line, axis ) < 0 ) ? line.reverse() : line;
+
+        } );
+
+        // Nearest loop first, starting from the seam of the layer below
+        const layerStart = paths.length;
+        let position = seam;
+
+        while ( lines.length > 0 ) {
+
+            let nearest = 0;
+
+            if ( position ) {
+
+                lines.forEach( ( line, k ) => {
+
+                    if ( line[ 0 ].distanceToSquared( position ) < lines[ nearest ][ 0 ].distanceToSquared( position ) ) nearest = k;
+
+                } );
+
+            }
+
+            let line = lines.splice( nearest, 1 )[ 0 ];
+
+            if ( position && isClosed( line ) ) line = startNear( line, position );
+
+            paths.push( line );
+
+            position = line[ line.length - 1 ];
+
+        }
+
+        // The first loop of the layer sets the seam of the next layer
+        if ( paths.length > layerStart ) seam = paths[ layerStart ][ 0 ];
+
+    }
+
+    console.log( "Slicing: %d layers of %s mm, %d loops, %d open lines", levels.length, ( layerHeight * 1000 ).toFixed( 2 ), paths.length - openCount, openCount );
+
+    if ( openCount > 0 ) process.warn( openCount + " slice lines are not closed, the mesh has holes." );
+
+    return paths;
+
+}
+
+registerSearchAlgorithm( 'Planar slices', {
+    usesPenProfile: true,
+    settings: {
+        axis: { name: "Axis (bottom to top)", value: "Y", options: axes }
+    },
+    search: sliceSearch
+} );
+
+export { sliceSearch }
\ No newline at end of file
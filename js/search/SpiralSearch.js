@@ -0,0 +1,253 @@
+/*
+Spiral Search
+- One continuous path that spirals up around the object along an axis, like the vase mode of a slicer.
+  The pen never lifts.
+- The surface is parameterized by height and angle: the mesh is sliced one filament diameter apart, and
+  rays from the center of each slice find the outer wall at each angle
+- The helix rises one filament diameter per turn, between the radii of the slices below and above it
+- Meant for vase-like and rotationally symmetric models: inner walls and overhangs that a ray does not
+  reach are not drawn
+*/
+
+import { Vector3 } from 'three';
+import { registerSearchAlgorithm } from '../SearchAlgorithms.js';
+import { indexMesh, traceIsoLines } from './SearchMesh.js';
+
+const axes = [ "X", "Y", "Z" ];
+
+// Bounds of the number of points per turn, which is about one per filament diameter of the widest turn
+const minTurnPoints = 36;
+const maxTurnPoints = 720;
+
+function getLayerProfile( lines, u, v, turnPoints ) {
+
+    // Center and outer radius of a slice at each angle of a turn, or null for an empty slice.
+    // Radii are NaN where no ray hits the slice.
+    const segments = [];
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+
+    for ( const line of lines ) {
+
+        for ( let i = 0; i < line.length; i++ ) {
+
+            const pu = line[ i ].getComponent( u ), pv = line[ i ].getComponent( v );
+
+            minU = Math.min( minU, pu );
+            maxU = Math.max( maxU, pu );
+            minV = Math.min( minV, pv );
+            maxV = Math.max( maxV, pv );
+
+            if ( i > 0 ) segments.push( [ line[ i - 1 ].getComponent( u ), line[ i - 1 ].getComponent( v ), pu, pv ] );
+
+        }
+
+    }
+
+    if ( segments.length === 0 ) return null;
+
+    const cu = ( minU + maxU ) / 2;
+    const cv = ( minV + maxV ) / 2;
+
+    // Segments by the angles they cover as seen from the center
+    const bins = Array.from( { length: turnPoints }, () => [] );
+    const toBin = ( angle ) => ( ( Math.floor( angle / ( 2 * Math.PI ) * turnPoints ) % turnPoints ) + turnPoints ) % turnPoints;
+
+    for ( const segment of segments ) {
+
+        let a0 = Math.atan2( segment[ 1 ] - cv, segment[ 0 ] - cu );
+        let a1 = Math.atan2( segment[ 3 ] - cv, segment[ 2 ] - cu );
+
+        // The shorter way around
+        if ( a1 - a0 > Math.PI ) a1 -= 2 * Math.PI;
+        if ( a0 - a1 > Math.PI ) a0 -= 2 * Math.PI;
+
+        // With a bin of margin on both sides, for rounding
+        const first = Math.floor( Math.min( a0, a1 ) / ( 2 * Math.PI ) * turnPoints ) - 1;
+        const last = Math.floor( Math.max( a0, a1 ) / ( 2 * Math.PI ) * turnPoints ) + 1;
+
+        for ( let bin = first; bin <= last; bin++ ) bins[ ( ( bin % turnPoints ) + turnPoints ) % turnPoints ].push( segment );
+
+    }
+
+    const radii = new Float64Array( turnPoints ).fill( NaN );
+
+    for ( let i = 0; i < turnPoints; i++ ) {
+
+        const angle = i / turnPoints * 2 * Math.PI;
+        const du = Math.cos( angle ), dv = Math.sin( angle );
+
+        for ( const [ pu, pv, qu, qv ] of bins[ toBin( angle ) ] ) {
+
+            // Ray center + t * d against segment p + s * ( q - p )
+            const eu = qu - pu, ev = qv - pv;
+            const denominator = du * ev - dv * eu;
+
+            if ( denominator === 0 ) continue;
+
+            const wu = pu - cu, wv = pv - cv;
+            const t = ( wu * ev - wv * eu ) / denominator;
+            const s = ( wu * dv - wv * du ) / denominator;
+
+            if ( t >= 0 && s >= 0 && s <= 1 && !( radii[ i ] >= t ) ) radii[ i ] = t;
+
+        }
+
+    }
+
+    return { cu, cv, radii };
+
+}
+
+function* spiralSearch( data, settings, process ) {
+
+    const mesh = indexMesh( data.faces );
+
+    if ( mesh.positions.length < 3 ) {
+
+        process.warn( "Insufficient geometry data found." );
+        return [];
+
+    }
+
+    const axis = axes.indexOf( settings.axis );
+    const u = ( axis + 1 ) % 3;
+    const v = ( axis + 2 ) % 3;
+    const heights = Float64Array.from( mesh.positions, ( position ) => position.getComponent( axis ) );
+
+    let bottom = Infinity, top = -Infinity, maxRadius = 0;
+
+    heights.forEach( ( height ) => {
+
+        bottom = Math.min( bottom, height );
+        top = Math.max( top, height );
+
+    } );
+
+    // The pitch is the filament diameter (in millimeters), slices are one pitch apart
+    const pitch = process.penProfile.diameter / 1000;
+    const levels = [];
+
+    for ( let level = bottom + pitch / 2; level < top; level += pitch ) levels.push( level );
+
+    process.reportProgress( 0, "Slicing" );
+    yield;
+
+    const layers = traceIsoLines( mesh, heights, levels );
+
+    const center = new Vector3();
+    mesh.positions.forEach( ( position ) => center.add( position ) );
+    center.divideScalar( mesh.positions.length );
+
+    mesh.positions.forEach( ( position ) => {
+
+        maxRadius = Math.max( maxRadius, Math.hypot( position.getComponent( u ) - center.getComponent( u ), position.getComponent( v ) - center.getComponent( v ) ) );
+
+    } );
+
+    const turnPoints = Math.min( Math.max( Math.ceil( 2 * Math.PI * maxRadius / pitch ), minTurnPoints ), maxTurnPoints );
+
+    const profiles = [];
+
+    for ( let i = 0, l = layers.length; i < l; i++ ) {
+
+        if ( i % 20 === 0 ) {
+
+            process.reportProgress( i / l, "Measuring the slices" );
+            yield;
+
+        }
+
+        const profile = getLayerProfile( layers[ i ], u, v, turnPoints );
+
+        if ( profile ) {
+
+            profile.level = levels[ i ];
+            profiles.push( profile );
+
+        }
+
+    }
+
+    if ( profiles.length === 0 ) {
+
+        process.warn( "The mesh has no slices along the " + settings.axis + " axis." );
+        return [];
+
+    }
+
+    // Angles without a hit keep the radius of the previous angle
+    let missing = 0;
+
+    for ( const profile of profiles ) {
+
+        const radii = profile.radii;
+        const start = radii.findIndex( ( radius ) => !isNaN( radius ) );
+
+        if ( start === -1 ) {
+
+            radii.fill( 0 );
+            missing += turnPoints;
+            continue;
+
+        }
+
+        for ( let k = 1; k <= turnPoints; k++ ) {
+
+            const i = ( start + k ) % turnPoints;
+
+            if ( isNaN( radii[ i ] ) ) {
+
+                radii[ i ] = radii[ ( i + turnPoints - 1 ) % turnPoints ];
+                missing++;
+
+            }
+
+        }
+
+    }
+
+    // One turn per slice, rising from a slice to the next one
+    const helix = [];
+    const last = profiles.length - 1;
+
+    for ( let k = 0; k <= last; k++ ) {
+
+        const below = profiles[ k ];
+        const above = profiles[ Math.min( k + 1, last ) ];
+        const rise = ( k < last ) ? above.level - below.level : 0;
+        const count = ( k < last ) ? turnPoints : turnPoints + 1;
+
+        for ( let i = 0; i < count; i++ ) {
+
+            const f = i / turnPoints;
+            const angle = f * 2 * Math.PI;
+            const radius = below.radii[ i % turnPoints ] * ( 1 - f ) + above.radii[ i % turnPoints ] * f;
+
+            const point = new Vector3();
+            point.setComponent( axis, below.level + f * rise );
+            point.setComponent( u, below.cu * ( 1 - f ) + above.cu * f + radius * Math.cos( angle ) );
+            point.setComponent( v, below.cv * ( 1 - f ) + above.cv * f + radius * Math.sin( angle ) );
+
+            helix.push( point );
+
+        }
+
+    }
+
+    console.log( "Spiral: %d turns of %s mm, %d points per turn, %d angles without surface", profiles.length, ( pitch * 1000 ).toFixed( 2 ), turnPoints, missing );
+
+    if ( missing > profiles.length * turnPoints * .05 ) process.warn( "The spiral misses the surface at " + missing + " points, the model is not vase-like along the " + settings.axis + " axis." );
+
+    return [ helix ];
+
+}
+
+registerSearchAlgorithm( 'Spiral (vase mode)', {
+    usesPenProfile: true,
+    settings: {
+        axis: { name: "Axis (bottom to top)", value: "Y", options: axes }
+    },
+    search: spiralSearch
+} );
+
+export { spiralSearch }
\ No newline at end of file
@@ -0,0 +1,342 @@
+/*
+Wireframe Search
+- Traces the edges of the (reduced) mesh instead of threading paths through the faces, like a wireframe lampshade
+- Each edge is drawn exactly once, in the fewest possible trails:
+  1. The vertices of odd degree are paired, and each pair is joined by a pen lift. The pairing approximates
+     a minimum-weight matching: greedy on the nearest vertices, then improved by swapping partners. It is not
+     an exact (blossom) matching, so the pen lifts can be somewhat longer than the shortest possible.
+  2. Every vertex then has an even degree, and the edges form Eulerian circuits (Hierholzer's algorithm)
+  3. The circuits are split at the pen lifts into trails
+*/
+
+import { Box3, Vector3 } from 'three';
+import { registerSearchAlgorithm } from '../SearchAlgorithms.js';
+import { PointGrid } from '../PointGrid.js';
+import { indexMesh, getEdges } from './SearchMesh.js';
+
+// Number of nearest odd vertices considered as partners in the matching
+const candidateCount = 8;
+
+const matchingPasses = 5;
+
+function buildEdgeGraph( faces ) {
+
+    // Vertices and unique edges of the faces, by index
+    const mesh = indexMesh( faces );
+    const edges = getEdges( mesh ).map( ( [ a, b ] ) => ( { a, b, lift: false } ) );
+
+    return { positions: mesh.positions, edges };
+
+}
+
+function* matchVertices( positions, vertices, spacing, onProgress ) {
+
+    // Pairs the vertices (an even number), such that the total distance of the pairs is small.
+    // Returns the partner of each vertex, by index in vertices.
+    const count = vertices.length;
+    const points = vertices.map( ( vertex ) => positions[ vertex ] );
+    const partners = new Int32Array( count ).fill( -1 );
+
+    if ( count === 0 ) return partners;
+
+    const distance = ( i, j ) => points[ i ].distanceTo( points[ j ] );
+
+    // About half of the vertices are odd, a few per cell
+    const grid = new PointGrid( points, Math.max( spacing * 2, 1e-9 ) );
+
+    // Candidate partners of each vertex
+    const candidates = new Array( count );
+    const pairs = [];
+
+    for ( let i = 0; i < count; i++ ) {
+
+        if ( i % 1000 === 0 ) {
+
+            onProgress( .5 * i / count, "Pairing the odd vertices" );
+            yield;
+
+        }
+
+        candidates[ i ] = grid.nearest( points[ i ], candidateCount + 1 ).filter( ( j ) => j !== i );
+
+        for ( const j of candidates[ i ] ) {
+
+            if ( i < j ) pairs.push( { i, j, distance: distance( i, j ) } );
+
+        }
+
+    }
+
+    // Greedy matching, shortest pairs first
+    pairs.sort( ( a, b ) => a.distance - b.distance );
+
+    for ( const { i, j } of pairs ) {
+
+        if ( partners[ i ] === -1 && partners[ j ] === -1 ) {
+
+            partners[ i ] = j;
+            partners[ j ] = i;
+
+        }
+
+    }
+
+    // Vertices whose candidates are all taken are paired with the nearest unmatched vertex
+    const unmatched = [];
+
+    for ( let i = 0; i < count; i++ ) if ( partners[ i ] === -1 ) unmatched.push( i );
+
+    if ( unmatched.length > 1 ) {
+
+        // The unmatched vertices are spread over the mesh, about one per cell
+        const unmatchedPoints = unmatched.map( ( i ) => points[ i ] );
+        const diagonal = new Box3().setFromPoints( unmatchedPoints ).getSize( new Vector3() ).length();
+        const unmatchedGrid = new PointGrid( unmatchedPoints, Math.max( diagonal / Math.sqrt( unmatched.length ), spacing * 2, 1e-9 ) );
+
+        for ( let k = 0; k < unmatched.length; k++ ) {
+
+            const i = unmatched[ k ];
+            if ( partners[ i ] !== -1 ) continue;
+
+            // More neighbors are queried until one of them is not matched yet
+            let j = -1;
+
+            for ( let nearestCount = 2; j === -1; nearestCount *= 2 ) {
+
+                const nearest = unmatchedGrid.nearest( points[ i ], nearestCount );
+                const m = nearest.find( ( index ) => index !== k && partners[ unmatched[ index ] ] === -1 );
+
+                if ( m !== undefined ) j = unmatched[ m ];
+                else if ( nearest.length < nearestCount ) break;
+
+            }
+
+            if ( j === -1 ) break;
+
+            partners[ i ] = j;
+            partners[ j ] = i;
+
+        }
+
+    }
+
+    // Swap partners of two pairs when that shortens them
+    for ( let pass = 0; pass < matchingPasses; pass++ ) {
+
+        let swaps = 0;
+
+        for ( let a = 0; a < count; a++ ) {
+
+            if ( a % 1000 === 0 ) {
+
+                onProgress( .5 + .5 * ( pass + a / count ) / matchingPasses, "Pairing the odd vertices" );
+                yield;
+
+            }
+
+            const b = partners[ a ];
+
+            for ( const c of candidates[ a ] ) {
+
+                const d = partners[ c ];
+
+                if ( c === b || d < 0 ) continue;
+
+                if ( distance( a, c ) + distance( b, d ) < distance( a, b ) + distance( c, d ) - 1e-12 ) {
+
+                    partners[ a ] = c;
+                    partners[ c ] = a;
+                    partners[ b ] = d;
+                    partners[ d ] = b;
+
+                    swaps++;
+                    break;
+
+                }
+
+            }
+
+        }
+
+        if ( swaps === 0 ) break;
+
+    }
+
+    return partners;
+
+}
+
+function* traceCircuits( vertexCount, edges, onProgress ) {
+
+    // Hierholzer's algorithm. All vertices have an even degree, such that the edges form closed circuits.
+    // A circuit is a list of steps { vertex, edge }, where edge joins the vertex to the vertex of the next step.
+    const adjacency = Array.from( { length: vertexCount }, () => [] );
+
+    edges.forEach( ( edge, i ) => {
+
+        adjacency[ edge.a ].push( i );
+        adjacency[ edge.b ].push( i );
+
+    } );
+
+    const next = new Int32Array( vertexCount );
+    const used = new Uint8Array( edges.length );
+    const circuits = [];
+    let usedCount = 0;
+
+    for ( let start = 0; start < vertexCount; start++ ) {
+
+        const stack = [ { vertex: start, edge: -1 } ];
+        const circuit = [];
+
+        while ( stack.length > 0 ) {
+
+            const vertex = stack[ stack.length - 1 ].vertex;
+            const vertexEdges = adjacency[ vertex ];
+
+            while ( next[ vertex ] < vertexEdges.length && used[ vertexEdges[ next[ vertex ] ] ] ) next[ vertex ]++;
+
+            if ( next[ vertex ] < vertexEdges.length ) {
+
+                const edgeIndex = vertexEdges[ next[ vertex ] ];
+                const edge = edges[ edgeIndex ];
+
+                used[ edgeIndex ] = 1;
+                usedCount++;
+
+                if ( usedCount % 5000 === 0 ) {
+
+                    onProgress( usedCount / edges.length, "Tracing the circuits" );
+                    yield;
+
+                }
+
+                stack.push( { vertex: ( edge.a === vertex ) ? edge.b : edge.a, edge: edgeIndex } );
+
+            } else {
+
+                circuit.push( stack.pop() );
+
+            }
+
+        }
+
+        if ( circuit.length > 1 ) circuits.push( circuit );
+
+    }
+
+    return circuits;
+
+}
+
+function splitCircuit( circuit, edges ) {
+
+    // Splits a circuit at its pen lifts into trails of vertices. Without pen lifts the circuit is a closed trail.
+    const steps = circuit.slice( 0, -1 );
+    const count = steps.length;
+    const lifts = steps.map( ( step ) => edges[ step.edge ].lift );
+
+    const firstLift = lifts.indexOf( true );
+    const start = ( firstLift + 1 ) % count;
+
+    const trails = [];
+    let trail = [ steps[ start ].vertex ];
+
+    for ( let k = 0; k < count; k++ ) {
+
+        const i = ( start + k ) % count;
+        const vertex = steps[ ( i + 1 ) % count ].vertex;
+
+        if ( lifts[ i ] ) {
+
+            trails.push( trail );
+            trail = [ vertex ];
+
+        } else {
+
+            trail.push( vertex );
+
+        }
+
+    }
+
+    // With pen lifts, the last trail ended at the lift before the start
+    if ( firstLift === -1 ) trails.push( trail );
+
+    return trails;
+
+}
+
+function* wireframeSearch( data, settings, process ) {
+
+    const faces = data.faces;
+
+    if ( faces.length < 1 ) {
+
+        process.warn( "Insufficient geometry data found." );
+        return [];
+
+    }
+
+    const onProgress = ( fraction, phase ) => process.reportProgress( fraction, phase );
+
+    const { positions, edges } = buildEdgeGraph( faces );
+
+    const degrees = new Int32Array( positions.length );
+    let edgeLength = 0;
+
+    for ( const edge of edges ) {
+
+        degrees[ edge.a ]++;
+        degrees[ edge.b ]++;
+
+        edgeLength += positions[ edge.a ].distanceTo( positions[ edge.b ] );
+
+    }
+
+    const oddVertices = [];
+
+    degrees.forEach( ( degree, vertex ) => { if ( degree % 2 === 1 ) oddVertices.push( vertex ) } );
+
+    const partners = yield* matchVertices( positions, oddVertices, edgeLength / Math.max( edges.length, 1 ), onProgress );
+
+    let liftLength = 0;
+
+    partners.forEach( ( partner, i ) => {
+
+        if ( i > partner ) return;
+
+        const a = oddVertices[ i ];
+        const b = oddVertices[ partner ];
+
+        edges.push( { a, b, lift: true } );
+        liftLength += positions[ a ].distanceTo( positions[ b ] );
+
+    } );
+
+    const circuits = yield* traceCircuits( positions.length, edges, onProgress );
+
+    const paths = [];
+
+    for ( const circuit of circuits ) {
+
+        for ( const trail of splitCircuit( circuit, edges ) ) {
+
+            if ( trail.length > 1 ) paths.push( trail.map( ( vertex ) => positions[ vertex ].clone() ) );
+
+        }
+
+    }
+
+    console.log( "Wireframe: %d edges, %d odd vertices, %d trails, %s m of pen lifts",
+        edges.length - oddVertices.length / 2, oddVertices.length, paths.length, liftLength.toFixed( 2 ) );
+
+    return paths;
+
+}
+
+registerSearchAlgorithm( 'Wireframe (mesh edges)', {
+    search: wireframeSearch
+} );
+
+export { wireframeSearch }
\ No newline at end of file
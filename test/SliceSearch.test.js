@@ -0,0 +1,60 @@
+/*
+Slice search
+- The slices of a closed mesh are closed loops, each in the plane of its layer, and the layers are
+  drawn bottom-up
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadingProcess } from '../js/processes/LoadingProcess.js';
+import { PreProcessorProcess } from '../js/processes/PreProcessorProcess.js';
+import { SearchProcess } from '../js/processes/SearchProcess.js';
+
+function run( process, params ) {
+
+    return new Promise( function( resolve, reject ) {
+
+        process.sliceDuration = 1000;
+        process.onCompleted = () => resolve( process.result );
+        process.onError = reject;
+
+        process.startProcess( params );
+
+    } );
+
+}
+
+test( "the slices are closed loops ordered bottom-up", async function() {
+
+    const loadingProcess = new LoadingProcess();
+    loadingProcess.primitive = "Torus knot (p,q)";
+
+    const source = await run( loadingProcess, { loadPrimitive: true } );
+    const preProcessorResult = await run( new PreProcessorProcess(), source );
+
+    const searchProcess = new SearchProcess();
+    searchProcess.searchAlgorithm = "Planar slices";
+    searchProcess.searchSettings = { axis: "Y" };
+
+    const { paths } = await run( searchProcess, preProcessorResult );
+
+    assert.ok( paths.length > 0 );
+
+    let previousHeight = -Infinity;
+
+    for ( const path of paths ) {
+
+        assert.ok( path.length > 3 );
+        assert.ok( path[ 0 ].distanceTo( path[ path.length - 1 ] ) < 1e-9 );
+
+        // All points of a loop are in the plane of its layer
+        const height = path[ 0 ].y;
+
+        for ( const point of path ) assert.ok( Math.abs( point.y - height ) < 1e-9 );
+
+        assert.ok( height > previousHeight - 1e-9 );
+        previousHeight = height;
+
+    }
+
+} );
\ No newline at end of file
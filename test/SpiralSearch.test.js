@@ -0,0 +1,49 @@
+/*
+Spiral search
+- The spiral is a single path around the axis, and its height never decreases
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadingProcess } from '../js/processes/LoadingProcess.js';
+import { PreProcessorProcess } from '../js/processes/PreProcessorProcess.js';
+import { SearchProcess } from '../js/processes/SearchProcess.js';
+
+function run( process, params ) {
+
+    return new Promise( function( resolve, reject ) {
+
+        process.sliceDuration = 1000;
+        process.onCompleted = () => resolve( process.result );
+        process.onError = reject;
+
+        process.startProcess( params );
+
+    } );
+
+}
+
+test( "the spiral is a single path that never goes down", async function() {
+
+    const loadingProcess = new LoadingProcess();
+    loadingProcess.primitive = "Sphere";
+
+    const source = await run( loadingProcess, { loadPrimitive: true } );
+    const preProcessorResult = await run( new PreProcessorProcess(), source );
+
+    const searchProcess = new SearchProcess();
+    searchProcess.searchAlgorithm = "Spiral (vase mode)";
+    searchProcess.searchSettings = { axis: "Y" };
+
+    const { paths } = await run( searchProcess, preProcessorResult );
+
+    assert.equal( paths.length, 1 );
+
+    const [ path ] = paths;
+
+    assert.ok( path.length > 2 );
+
+    for ( let i = 1; i < path.length; i++ ) assert.ok( path[ i ].y > path[ i - 1 ].y - 1e-9 );
+    assert.ok( path[ path.length - 1 ].y > path[ 0 ].y );
+
+} );
\ No newline at end of file
@@ -0,0 +1,92 @@
+/*
+Tour improvement
+- The improved Nearest Neighbor tour is shorter, and its curves still cover the surface: every face
+  stays close to a curve after the points are placed and the curves are smoothed
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadingProcess } from '../js/processes/LoadingProcess.js';
+import { PreProcessorProcess } from '../js/processes/PreProcessorProcess.js';
+import { SearchProcess } from '../js/processes/SearchProcess.js';
+import { CurveIntrapolationProcess } from '../js/processes/CurveIntrapolationProcess.js';
+import { PointGrid } from '../js/PointGrid.js';
+
+// Faces farther than this from the curves are not covered
+const maxDistance = .003;
+
+function run( process, params ) {
+
+    return new Promise( function( resolve, reject ) {
+
+        process.sliceDuration = 1000;
+        process.onCompleted = () => resolve( process.result );
+        process.onError = reject;
+
+        process.startProcess( params );
+
+    } );
+
+}
+
+function getLength( paths ) {
+
+    let length = 0;
+
+    for ( const path of paths ) {
+
+        for ( let i = 1; i < path.length; i++ ) length += path[ i ].distanceTo( path[ i - 1 ] );
+
+    }
+
+    return length;
+
+}
+
+function getUncoveredFaces( faces, curves ) {
+
+    // Faces whose center is farther than maxDistance from the points of the curves, sampled every half mm
+    const samples = curves.flatMap( ( curve ) => curve.getSpacedPoints( Math.max( 2, Math.ceil( curve.getLength() / .0005 ) ) ) );
+    const grid = new PointGrid( samples, maxDistance * 2 );
+
+    return faces.filter( function( face ) {
+
+        const [ nearest ] = grid.nearest( face.center, 1 );
+
+        return samples[ nearest ].distanceTo( face.center ) > maxDistance;
+
+    } );
+
+}
+
+async function searchCurves( preProcessorResult, improveTour ) {
+
+    const searchProcess = new SearchProcess();
+    searchProcess.searchAlgorithm = "Nearest Neighbor";
+    searchProcess.searchSettings = { improveTour };
+
+    const searchResult = await run( searchProcess, preProcessorResult );
+    const curveResult = await run( new CurveIntrapolationProcess(), searchResult );
+
+    return { paths: searchResult.paths, curves: curveResult.curves };
+
+}
+
+test( "the improved tour is shorter and covers the surface", async function() {
+
+    const loadingProcess = new LoadingProcess();
+    loadingProcess.primitive = "Torus knot (p,q)";
+
+    const source = await run( loadingProcess, { loadPrimitive: true } );
+    const preProcessorResult = await run( new PreProcessorProcess(), source );
+    const faces = preProcessorResult.geometryData.flatMap( ( geometry ) => geometry.faces );
+
+    const original = await searchCurves( preProcessorResult, false );
+    const improved = await searchCurves( preProcessorResult, true );
+
+    assert.ok( getLength( improved.paths ) < getLength( original.paths ) );
+
+    assert.equal( getUncoveredFaces( faces, original.curves ).length, 0 );
+    assert.equal( getUncoveredFaces( faces, improved.curves ).length, 0 );
+
+} );
\ No newline at end of file
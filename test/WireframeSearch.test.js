@@ -0,0 +1,105 @@
+/*
+Wireframe search
+- Every edge of the mesh is drawn exactly once, and the trails are joined by one pen lift per pair of
+  vertices of odd degree
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadingProcess } from '../js/processes/LoadingProcess.js';
+import { PreProcessorProcess } from '../js/processes/PreProcessorProcess.js';
+import { SearchProcess } from '../js/processes/SearchProcess.js';
+
+function run( process, params ) {
+
+    return new Promise( function( resolve, reject ) {
+
+        process.sliceDuration = 1000;
+        process.onCompleted = () => resolve( process.result );
+        process.onError = reject;
+
+        process.startProcess( params );
+
+    } );
+
+}
+
+function getPointKey( point ) {
+
+    return point.toArray().join( "," );
+
+}
+
+function getEdgeKey( a, b ) {
+
+    return [ getPointKey( a ), getPointKey( b ) ].sort().join( "|" );
+
+}
+
+function getMeshEdges( faces ) {
+
+    // Unique edges of the faces, and the number of edges at each vertex
+    const edges = new Set();
+    const degrees = new Map();
+
+    for ( const face of faces ) {
+
+        const points = [ face.v1.position, face.v2.position, face.v3.position ];
+
+        for ( let i = 0; i < 3; i++ ) {
+
+            const a = points[ i ], b = points[ ( i + 1 ) % 3 ];
+            const key = getEdgeKey( a, b );
+
+            if ( getPointKey( a ) === getPointKey( b ) || edges.has( key ) ) continue;
+
+            edges.add( key );
+
+            for ( const point of [ a, b ] ) degrees.set( getPointKey( point ), ( degrees.get( getPointKey( point ) ) || 0 ) + 1 );
+
+        }
+
+    }
+
+    return { edges, degrees };
+
+}
+
+test( "the wireframe trails draw every mesh edge once", async function() {
+
+    const loadingProcess = new LoadingProcess();
+    loadingProcess.primitive = "Möbius strip";
+
+    const source = await run( loadingProcess, { loadPrimitive: true } );
+    const preProcessorResult = await run( new PreProcessorProcess(), source );
+    const faces = preProcessorResult.geometryData.flatMap( ( geometry ) => geometry.faces );
+
+    const searchProcess = new SearchProcess();
+    searchProcess.searchAlgorithm = "Wireframe (mesh edges)";
+
+    const { paths } = await run( searchProcess, preProcessorResult );
+    const { edges, degrees } = getMeshEdges( faces );
+
+    const drawn = new Map();
+
+    for ( const path of paths ) {
+
+        for ( let i = 1; i < path.length; i++ ) {
+
+            const key = getEdgeKey( path[ i - 1 ], path[ i ] );
+            drawn.set( key, ( drawn.get( key ) || 0 ) + 1 );
+
+        }
+
+    }
+
+    assert.equal( drawn.size, edges.size );
+
+    for ( const key of edges ) assert.equal( drawn.get( key ), 1 );
+
+    const oddVertexCount = [ ...degrees.values() ].filter( ( degree ) => degree % 2 === 1 ).length;
+
+    assert.ok( oddVertexCount > 0 );
+    assert.equal( paths.length, oddVertexCount / 2 );
+
+} );
\ No newline at end of file
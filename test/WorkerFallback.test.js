@@ -0,0 +1,95 @@
+/*
+Worker fallback
+- When the pipeline worker fails, the processes continue on the main thread. Cached results that
+  are kept in the worker must then be computed again.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadingProcess } from '../js/processes/LoadingProcess.js';
+import { PreProcessorProcess } from '../js/processes/PreProcessorProcess.js';
+import { SearchProcess } from '../js/processes/SearchProcess.js';
+
+function run( process, params ) {
+
+    return new Promise( function( resolve, reject ) {
+
+        process.onCompleted = () => resolve( process.result );
+        process.onError = reject;
+
+        process.startProcess( params );
+
+    } );
+
+}
+
+class FakeWorkerClient {
+
+    // Runs the processes like PipelineWorker, without a thread
+    constructor() {
+
+        this.results = new Map();
+
+    }
+
+    start( process, message, settings ) {
+
+        const workerProcess = new process.constructor();
+        workerProcess.cacheSize = 0;
+
+        Object.assign( workerProcess, settings );
+
+        workerProcess.onCompleted = () => {
+
+            const resultId = this.results.size + 1;
+            this.results.set( resultId, workerProcess.result );
+
+            const response = workerProcess.workerResponse();
+
+            setTimeout( () => process.handleWorkerMessage( { type: "completed", runId: process.runId, resultId, message: response.message } ), 0 );
+
+        };
+
+        workerProcess.startProcess( workerProcess.workerParams( message, this.results ) );
+
+    }
+
+    stop() {}
+
+    release( process, resultId ) {
+
+        this.results.delete( resultId );
+
+    }
+
+}
+
+test( "a failed worker does not leave cached results that refer to it", async function() {
+
+    const loadingProcess = new LoadingProcess();
+    loadingProcess.primitive = "Sphere";
+
+    const source = await run( loadingProcess, { loadPrimitive: true } );
+
+    const preProcessorProcess = new PreProcessorProcess();
+    preProcessorProcess.worker = new FakeWorkerClient();
+
+    const workerResult = await run( preProcessorProcess, source );
+
+    assert.notEqual( workerResult.workerResultId, undefined );
+    assert.equal( workerResult.geometryData, undefined );
+
+    // The worker fails, the same source is pre-processed again on the main thread
+    preProcessorProcess.worker = null;
+
+    const result = await run( preProcessorProcess, source );
+
+    assert.equal( result.workerResultId, undefined );
+    assert.ok( result.geometryData && result.geometryData.length > 0 );
+
+    const searchProcess = new SearchProcess();
+    const searchResult = await run( searchProcess, result );
+
+    assert.ok( searchResult.paths.length > 0 );
+
+} );
\ No newline at end of file
@@ -0,0 +1,11 @@
+/*
+Test setup
+- Resolves the import map specifiers like the command line does, see cli/resolve-hooks.js
+- The processes log to the console, which is not shown with the test results
+*/
+
+import { register } from 'node:module';
+
+register( '../cli/resolve-hooks.js', import.meta.url );
+
+for ( const method of [ "log", "info", "time", "timeEnd", "group", "groupEnd" ] ) console[ method ] = () => {};
\ No newline at end of file